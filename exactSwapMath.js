@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * exactSwapMath.js
+ *
+ * On-chain-exact integer swap math (BigInt, atomic units) for processSwap's `exact: true` mode.
+ * Every function mirrors the rounding of the program it models so that amountOut matches
+ * what the chain transfers, atom for atom:
+ *
+ * - Raydium AMM v4:        fee = ceil_div(amountIn * swapFeeNumerator, swapFeeDenominator) (AMM quirk below)
+ *                          out = floor(reserveOut * inLessFee / (reserveIn + inLessFee))
+ * - Raydium CP-Swap:       fee = ceil(amountIn * tradeFeeRate / 1e6), same floor curve
+ * - Orca Whirlpool / CLMM: Q64.64 sqrt prices, compute_swap_step per liquidity range, fee in 1e6 units
+ * - Meteora DLMM:          Q64.64 bin prices from get_price_from_id, per-bin Bin::swap, fee in 1e9 units
+ *
+ * Inputs are BigInt (or anything BigInt() accepts); outputs are BigInt.
+ */
+
+const Q64 = 1n << 64n;
+const U128_MAX = (1n << 128n) - 1n;
+
+function big(v) {
+    if (typeof v === 'bigint') return v;
+    if (v === undefined || v === null || v === '') return 0n;
+    if (typeof v === 'number') return BigInt(Math.trunc(v));
+    if (typeof v === 'object' && typeof v.toFixed === 'function') return BigInt(v.toFixed(0, 1)); // Decimal, round down
+    return BigInt(String(v).split('.')[0]);
+}
+
+function ceilDiv(a, b) {
+    return (a + b - 1n) / b;
+}
+
+// -------------------------
+// Constant product (Raydium AMM v4 / CP-Swap)
+// -------------------------
+
+// Raydium AMM v4 CheckedCeilDiv: a quotient of zero rounds to nearest instead of up.
+function raydiumV4CeilDiv(a, b) {
+    const q = a / b;
+    if (q === 0n) return a * 2n >= b ? 1n : 0n;
+    return a % b > 0n ? q + 1n : q;
+}
+
+/**
+ * Exact-in constant product swap.
+ * program: 'raydium_v4' (fee = numerator/denominator with the v4 rounding quirk) or
+ *          'raydium_cpmm' (fee = ceil(amountIn * numerator / denominator)).
+ * Returns { amountOut, fee }
+ */
+function cpmmSwapExactIn({ reserveIn, reserveOut, amountIn, feeNumerator, feeDenominator, program }) {
+    const x = big(reserveIn);
+    const y = big(reserveOut);
+    const dx = big(amountIn);
+    const num = big(feeNumerator);
+    const den = big(feeDenominator);
+    if (den <= 0n || num >= den) throw new Error('exactSwapMath: invalid fee numerator/denominator');
+    if (dx <= 0n) return { amountOut: 0n, fee: 0n };
+
+    const fee = program === 'raydium_v4' ? raydiumV4CeilDiv(dx * num, den) : ceilDiv(dx * num, den);
+    const inLessFee = dx - fee;
+    const amountOut = (y * inLessFee) / (x + inLessFee);
+    return { amountOut, fee };
+}
+
+// -------------------------
+// Whirlpool tick math: sqrt(1.0001^tick) in Q64.64
+// Bit-decomposition constants are floor(2^96 * 1.0001^(2^i / 2)) for positive ticks and
+// floor(2^64 * 1.0001^(-2^i / 2)) for negative ticks, exactly as in the program.
+// -------------------------
+const POS_TICK_RATIOS = [
+    79232123823359799118286999567n, 79236085330515764027303304731n, 79244008939048815603706035061n,
+    79259858533276714757314932305n, 79291567232598584799939703904n, 79355022692464371645785046466n,
+    79482085999252804386437311141n, 79736823300114093921829183326n, 80248749790819932309965073892n,
+    81282483887344747381513967011n, 83390072131320151908154831281n, 87770609709833776024991924138n,
+    97234110755111693312479820773n, 119332217159966728226237229890n, 179736315981702064433883588727n,
+    407748233172238350107850275304n, 2098478828474011932436660412517n, 55581415166113811149459800483533n,
+    38992368544603139932233054999993551n
+];
+const NEG_TICK_RATIOS = [
+    18445821805675392311n, 18444899583751176498n, 18443055278223354162n, 18439367220385604838n,
+    18431993317065449817n, 18417254355718160513n, 18387811781193591352n, 18329067761203520168n,
+    18212142134806087854n, 17980523815641551639n, 17526086738831147013n, 16651378430235024244n,
+    15030750278693429944n, 12247334978882834399n, 8131365268884726200n, 3584323654723342297n,
+    696457651847595233n, 26294789957452057n, 37481735321082n
+];
+const MAX_TICK = 443636;
+
+function sqrtPriceX64AtTick(tick) {
+    const t = Number(tick);
+    if (!Number.isInteger(t) || Math.abs(t) > MAX_TICK) throw new Error(`exactSwapMath: tick out of range: ${tick}`);
+
+    if (t >= 0) {
+        let ratio = (t & 1) ? POS_TICK_RATIOS[0] : (1n << 96n);
+        for (let i = 1; i < POS_TICK_RATIOS.length; i++) {
+            if (t & (1 << i)) ratio = (ratio * POS_TICK_RATIOS[i]) >> 96n;
+        }
+        return ratio >> 32n;
+    }
+
+    const abs = -t;
+    let ratio = (abs & 1) ? NEG_TICK_RATIOS[0] : Q64;
+    for (let i = 1; i < NEG_TICK_RATIOS.length; i++) {
+        if (abs & (1 << i)) ratio = (ratio * NEG_TICK_RATIOS[i]) >> 64n;
+    }
+    return ratio;
+}
+
+// -------------------------
+// CLMM swap step (Whirlpool swap_math / Raydium CLMM compute_swap_step)
+// -------------------------
+const CLMM_FEE_RATE_DENOMINATOR = 1000000n;
+
+// token A (token0) between two sqrt prices: L * (pu - pl) << 64 / (pu * pl)
+function getAmountDeltaA(p0, p1, L, roundUp) {
+    const [lo, hi] = p0 < p1 ? [p0, p1] : [p1, p0];
+    const numerator = (L * (hi - lo)) << 64n;
+    const denominator = hi * lo;
+    const q = numerator / denominator;
+    return roundUp && numerator % denominator !== 0n ? q + 1n : q;
+}
+
+// token B (token1) between two sqrt prices: L * (pu - pl) >> 64
+function getAmountDeltaB(p0, p1, L, roundUp) {
+    const [lo, hi] = p0 < p1 ? [p0, p1] : [p1, p0];
+    const product = L * (hi - lo);
+    const q = product >> 64n;
+    return roundUp && (product & (Q64 - 1n)) !== 0n ? q + 1n : q;
+}
+
+function getNextSqrtPriceFromInput(p, L, amount, aToB) {
+    if (amount === 0n) return p;
+    if (aToB) {
+        // get_next_sqrt_price_from_a_round_up (adding token A)
+        const numerator = (L * p) << 64n;
+        const denominator = (L << 64n) + p * amount;
+        return ceilDiv(numerator, denominator);
+    }
+    // get_next_sqrt_price_from_b_round_down (adding token B)
+    return p + (amount << 64n) / L;
+}
+
+function computeSwapStepExactIn({ amountRemaining, feeRate, liquidity, sqrtPrice, sqrtTarget, aToB }) {
+    const amountLessFee = (amountRemaining * (CLMM_FEE_RATE_DENOMINATOR - feeRate)) / CLMM_FEE_RATE_DENOMINATOR;
+    const maxIn = aToB
+        ? getAmountDeltaA(sqrtTarget, sqrtPrice, liquidity, true)
+        : getAmountDeltaB(sqrtPrice, sqrtTarget, liquidity, true);
+
+    const sqrtNext = maxIn <= amountLessFee
+        ? sqrtTarget
+        : getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountLessFee, aToB);
+    const isMaxSwap = sqrtNext === sqrtTarget;
+
+    const amountIn = isMaxSwap
+        ? maxIn
+        : (aToB ? getAmountDeltaA(sqrtNext, sqrtPrice, liquidity, true) : getAmountDeltaB(sqrtPrice, sqrtNext, liquidity, true));
+    const amountOut = aToB
+        ? getAmountDeltaB(sqrtNext, sqrtPrice, liquidity, false)
+        : getAmountDeltaA(sqrtPrice, sqrtNext, liquidity, false);
+
+    const fee = !isMaxSwap
+        ? amountRemaining - amountIn
+        : ceilDiv(amountIn * feeRate, CLMM_FEE_RATE_DENOMINATOR - feeRate);
+
+    return { sqrtNext, amountIn, amountOut, fee };
+}
+
+/**
+ * Exact-in CLMM swap across liquidity ranges.
+ * segments: [{ tickLower, tickUpper, liquidity, sqrtLowerX64?, sqrtUpperX64? }] (non-overlapping);
+ * range bounds default to the Whirlpool tick math when no explicit sqrt prices are attached.
+ * feeRate is in hundredths of a bip (1e6 = 100%).
+ * Returns { amountOut, fee, sqrtPriceX64, ticksCrossed }
+ */
+function clmmSwapExactIn({ sqrtPriceX64, segments, amountIn, feeRate, aToB }) {
+    const rate = big(feeRate);
+    if (rate >= CLMM_FEE_RATE_DENOMINATOR) throw new Error('exactSwapMath: CLMM feeRate must be < 1e6');
+
+    const segs = segments
+        .map(s => ({
+            liquidity: big(s.liquidity),
+            lo: s.sqrtLowerX64 !== undefined ? big(s.sqrtLowerX64) : sqrtPriceX64AtTick(s.tickLower),
+            hi: s.sqrtUpperX64 !== undefined ? big(s.sqrtUpperX64) : sqrtPriceX64AtTick(s.tickUpper)
+        }))
+        .filter(s => s.liquidity > 0n && s.hi > s.lo)
+        .sort((a, b) => (a.lo < b.lo ? -1 : a.lo > b.lo ? 1 : 0));
+
+    let p = big(sqrtPriceX64);
+    let remaining = big(amountIn);
+    let amountOut = 0n;
+    let fee = 0n;
+    let ticksCrossed = 0;
+
+    for (let guard = 0; remaining > 0n && guard <= segs.length * 2 + 2; guard++) {
+        const seg = aToB
+            ? segs.find(g => g.lo < p && g.hi >= p)
+            : segs.find(g => g.lo <= p && g.hi > p);
+        if (!seg) {
+            // empty gap: the price moves to the next initialized range for free
+            const next = aToB ? segs.filter(g => g.hi < p).pop() : segs.find(g => g.lo > p);
+            if (!next) break;
+            p = aToB ? next.hi : next.lo;
+            ticksCrossed++;
+            continue;
+        }
+
+        const step = computeSwapStepExactIn({
+            amountRemaining: remaining,
+            feeRate: rate,
+            liquidity: seg.liquidity,
+            sqrtPrice: p,
+            sqrtTarget: aToB ? seg.lo : seg.hi,
+            aToB
+        });
+        remaining -= step.amountIn + step.fee;
+        amountOut += step.amountOut;
+        fee += step.fee;
+        if (step.sqrtNext === (aToB ? seg.lo : seg.hi)) ticksCrossed++;
+        p = step.sqrtNext;
+    }
+
+    if (remaining > 0n) {
+        throw new Error(`exactSwapMath: CLMM liquidity exhausted after ${ticksCrossed} ticks`);
+    }
+    return { amountOut, fee, sqrtPriceX64: p, ticksCrossed };
+}
+
+// -------------------------
+// Meteora DLMM (lb_clmm price_math / Bin::swap)
+// -------------------------
+const DLMM_FEE_PRECISION = 1000000000n;
+const DLMM_MAX_EXPONENTIAL = 0x80000;
+
+// lb_clmm u128x128_math::pow: Q64.64 fixed point power by squaring
+function dlmmPow(base, exp) {
+    let invert = exp < 0;
+    const e = Math.abs(exp);
+    if (e === 0) return Q64;
+    if (e >= DLMM_MAX_EXPONENTIAL) throw new Error('exactSwapMath: DLMM bin id out of range');
+
+    let squaredBase = base;
+    let result = Q64;
+    if (squaredBase >= result) {
+        squaredBase = U128_MAX / squaredBase;
+        invert = !invert;
+    }
+    for (let bit = 1; bit < DLMM_MAX_EXPONENTIAL; bit <<= 1) {
+        if (e & bit) result = (result * squaredBase) >> 64n;
+        squaredBase = (squaredBase * squaredBase) >> 64n;
+    }
+    if (result === 0n) throw new Error('exactSwapMath: DLMM price underflow');
+    return invert ? U128_MAX / result : result;
+}
+
+function dlmmPriceX64FromId(binId, binStep) {
+    const bps = (BigInt(binStep) << 64n) / 10000n;
+    return dlmmPow(Q64 + bps, Number(binId));
+}
+
+/**
+ * Exact-in DLMM swap, bin by bin from the active bin.
+ * bins: [{ binId, xAmount, yAmount }] atomic; feeRateAt(binId) -> BigInt total fee rate (1e9 = 100%).
+ * swapForY=true => X in, Y out (walks down).
+ * Returns { amountOut, fee, binsCrossed, endBinId }
+ */
+function dlmmSwapExactIn({ bins, activeBinId, binStep, amountIn, feeRateAt, swapForY }) {
+    const sorted = bins
+        .map(b => ({ binId: Number(b.binId), x: big(b.xAmount), y: big(b.yAmount) }))
+        .sort((a, b) => a.binId - b.binId);
+    const path = swapForY
+        ? sorted.filter(b => b.binId <= activeBinId).reverse()
+        : sorted.filter(b => b.binId >= activeBinId);
+
+    let remaining = big(amountIn);
+    let amountOut = 0n;
+    let fee = 0n;
+    let binsCrossed = 0;
+    let endBinId = activeBinId;
+
+    for (const bin of path) {
+        if (remaining <= 0n) break;
+        const maxOut = swapForY ? bin.y : bin.x;
+        if (maxOut <= 0n) continue;
+
+        endBinId = bin.binId;
+        const price = dlmmPriceX64FromId(bin.binId, binStep);
+        const rate = big(feeRateAt(bin.binId));
+        const maxIn = swapForY ? ceilDiv(bin.y << 64n, price) : ceilDiv(bin.x * price, Q64);
+        // compute_fee: fee on top of an amount that excludes it
+        const maxFee = ceilDiv(maxIn * rate, DLMM_FEE_PRECISION - rate);
+
+        if (remaining >= maxIn + maxFee) {
+            remaining -= maxIn + maxFee;
+            amountOut += maxOut;
+            fee += maxFee;
+            binsCrossed++;
+        } else {
+            // compute_fee_from_amount: fee included in the amount
+            const binFee = ceilDiv(remaining * rate, DLMM_FEE_PRECISION);
+            const net = remaining - binFee;
+            const out = swapForY ? (net * price) >> 64n : (net << 64n) / price;
+            amountOut += out < maxOut ? out : maxOut;
+            fee += binFee;
+            remaining = 0n;
+        }
+    }
+
+    if (remaining > 0n) {
+        throw new Error(`exactSwapMath: DLMM liquidity exhausted after ${binsCrossed} bins`);
+    }
+    return { amountOut, fee, binsCrossed, endBinId };
+}
+
+module.exports = {
+    cpmmSwapExactIn,
+    sqrtPriceX64AtTick,
+    clmmSwapExactIn,
+    dlmmPriceX64FromId,
+    dlmmSwapExactIn
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * executionCostModel.js
+ *
+ * What it costs to land an arbitrage transaction, in lamports, independent of trade size:
+ *
+ * - base fee:      lamportsPerSignature * signatures
+ * - priority fee:  ceil(computeUnits * priorityMicroLamportsPerCu / 1e6)
+ *                  computeUnits = overhead + per-leg estimate by `${dex}:${type}`, else by type
+ * - tip:           jitoTipLamports (0 when not sending through a bundle)
+ * - ATA rent:      ataRentLamports * newAtas (token accounts the route has to create)
+ *
+ * findTriangularArbitrage takes either a model built here or any object exposing
+ * estimate(pools) -> { totalLamports, ... } (a custom model), and converts the total
+ * to the start token before computing netAfterCostsPct / passes.
+ */
+
+const Decimal = require('decimal.js');
+
+const D = (v) => new Decimal(v === undefined || v === null || v === '' ? 0 : v.toString());
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Rough per-swap compute units (includes the CPI from the router program)
+const DEFAULT_COMPUTE_UNITS = {
+    'raydium:cpmm': 45000, // AMM v4 / CP-Swap
+    cpmm: 60000,
+    stable: 70000,
+    clmm: 110000,
+    whirlpool: 90000,
+    dlmm: 80000
+};
+const DEFAULT_LEG_COMPUTE_UNITS = 100000;
+
+function legComputeUnits(pool, table, fallback) {
+    const type = (pool.type || '').toLowerCase();
+    const dex = (pool.dex || '').toLowerCase();
+    return table[`${dex}:${type}`] ?? table[type] ?? fallback;
+}
+
+function createExecutionCostModel({
+    computeUnits = {},
+    defaultLegComputeUnits = DEFAULT_LEG_COMPUTE_UNITS,
+    overheadComputeUnits = 20000, // compute budget ixs, token account checks, profit assertion
+    signatures = 1,
+    lamportsPerSignature = 5000,
+    priorityMicroLamportsPerCu = 0,
+    jitoTipLamports = 0,
+    ataRentLamports = 2039280,
+    newAtas = 0
+} = {}) {
+    const table = { ...DEFAULT_COMPUTE_UNITS, ...computeUnits };
+
+    function estimate(pools) {
+        const cu = (pools || []).reduce((sum, p) => sum + legComputeUnits(p, table, defaultLegComputeUnits), overheadComputeUnits);
+        const baseFee = D(lamportsPerSignature).mul(signatures);
+        const priorityFee = D(cu).mul(D(priorityMicroLamportsPerCu)).div(1e6).ceil();
+        const tip = D(jitoTipLamports).floor();
+        const rent = D(ataRentLamports).mul(newAtas);
+        const total = baseFee.plus(priorityFee).plus(tip).plus(rent);
+        return {
+            computeUnits: cu,
+            baseFeeLamports: baseFee.toString(),
+            priorityFeeLamports: priorityFee.toString(),
+            tipLamports: tip.toString(),
+            ataRentLamports: rent.toString(),
+            totalLamports: total.toString()
+        };
+    }
+
+    return { estimate };
+}
+
+module.exports = {
+    LAMPORTS_PER_SOL,
+    DEFAULT_COMPUTE_UNITS,
+    createExecutionCostModel
+};
@@ -18,6 +18,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { RAYDIUM_STABLE_PROGRAM, getStableAmp } = require('./processorNewEngine.js');
 
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 const WSOL_MINT = SOL_MINT;
@@ -68,9 +69,10 @@ function asNum(v) {
   return Number.isFinite(n) ? n : undefined;
 }
 
-function normalizePoolType(poolType, dex) {
+function normalizePoolType(poolType, dex, programId) {
   const t = toLowerStr(poolType);
 
+  if (t.includes('stable') || toStr(programId) === RAYDIUM_STABLE_PROGRAM) return 'stable';
   if (t.includes('whirlpool')) return 'clmm';
   if (t.includes('dlmm') || t.includes('liquidity_bins') || t.includes('bin')) return 'dlmm';
   if (t.includes('damm')) return 'cpmm';
@@ -194,7 +196,8 @@ function normalizeOne(pool, opts) {
   if (!poolAddress) return null;
 
   const dex = toLowerStr(pool.dex || pool._original?.dex || pool.raw?.dex || pool._original?.raw?.dex);
-  const poolType = normalizePoolType(pool.poolType || pool.type || pool._original?.poolType || pool.raw?.poolType, dex);
+  const programId = pool.programId || pool._original?.programId || pool.raw?.programId || pool._original?.raw?.programId;
+  const poolType = normalizePoolType(pool.poolType || pool.type || pool._original?.poolType || pool.raw?.poolType, dex, programId);
 
   // Ensure we have a top-level raw if _original.raw exists (helps your fetcher even if _original gets dropped later)
   const raw = isObject(pool.raw) ? pool.raw : (isObject(pool._original?.raw) ? pool._original.raw : undefined);
@@ -221,6 +224,11 @@ function normalizeOne(pool, opts) {
   const tvlNum = asNum(pick(pool, ['tvl.tvl', 'liquidity.tvl', 'tvl', '_original.liquidity.tvl', '_original.tvl.tvl', '_original.tvl']));
   const volume24h = asNum(pick(pool, ['volume24h', '_original.volume24h', 'raw.trade_volume_24h', '_original.raw.trade_volume_24h'])) ?? 0;
 
+  // Stable pools need the amplification coefficient for the invariant
+  const amp = poolType === 'stable'
+    ? getStableAmp(pool) ?? undefined
+    : undefined;
+
   const vaults = resolveVaults({ ...pool, raw, _original: pool._original });
   const { xReserve, yReserve } = resolveReserveAmounts({ ...pool, raw, _original: pool._original });
 
@@ -241,6 +249,7 @@ function normalizeOne(pool, opts) {
     quoteDecimals,
 
     fee,
+    ...(amp !== undefined ? { amp } : {}),
     tvl: tvlNum !== undefined ? (pool.tvl && typeof pool.tvl === 'object' ? pool.tvl : { tvl: tvlNum }) : (pool.tvl || pool.liquidity || null),
     volume24h,
 
@@ -13,6 +13,16 @@
  *    priceImpactPct: percent as string (0..100),
  *    meta: { type, isApprox, notes }
  *
+ * - Token-2022 transfer fees (pool.baseToken.transferFee / quoteToken.transferFee) are
+ *   deducted from dx on the way into the pool and from dy on the way out; the amounts
+ *   are reported in meta.transferFee { inAtomic, outAtomic }.
+ *
+ * - opts.exact=true switches cpmm (Raydium v4 / CP-Swap), clmm/whirlpool and dlmm to on-chain
+ *   integer math (exactSwapMath.js); meta.exact and meta.dyAtomic report the program's result.
+ *
+ * - processSwapExactOut is the exact-out counterpart: it takes ATOMIC dy (token-out)
+ *   and returns the same shape plus dxAtomic (required token-in, rounded UP) and dxHuman.
+ *
  * - computeTotalCostTokenOut is STRICTLY ANALYTICAL:
  *    It DOES NOT change dy.
  *    It computes "cost vs mid" in TOKEN-OUT units:
@@ -21,9 +31,13 @@
  *      feeCost = dxHuman * feeRate * midPrice
  *      slippageCost = max(0, totalCost - feeCost)
  *    This avoids double counting (since dyHuman is already fee-adjusted).
+ *
+ * - computeDepthLadder runs computeTotalCostTokenOut over a list of sizes and can search
+ *   for the largest input whose slippage-only priceImpactPct stays under a limit.
  */
 
 const Decimal = require('decimal.js');
+const exactMath = require('./exactSwapMath.js');
 
 // -------------------------
 // Decimal helpers
@@ -39,6 +53,10 @@ function humanToAtomic(dxHuman, decimals) {
     // returns integer Decimal (floor)
     return D(dxHuman).mul(pow10(decimals)).floor();
 }
+function humanToAtomicExact(dxHuman, decimals) {
+    // returns unrounded atomic Decimal
+    return D(dxHuman).mul(pow10(decimals));
+}
 function pct(x) { return D(x).mul(100); }
 
 // -------------------------
@@ -78,11 +96,754 @@ function simulateCPMMHuman({ xResHuman, yResHuman, dxHuman, feeRate }) {
 }
 
 // -------------------------
-// processSwap (atomic input) -> dyHuman
-// Supports: cpmm/dlmm (CPMM fallback), clmm (requires external SDK; we mark unsupported here)
+// Stable-swap (Curve-style amplified invariant, 2 coins) using HUMAN units
+//
+// Decimals-normalized reserves are treated as pegged 1:1. With n=2 and Ann = A*n^n:
+//   Ann*(x+y) + D = Ann*D + D^3 / (4*x*y)
+// Raydium "Stable Asset AMM" pools carry the amplification coefficient; the pool
+// normalizers and the reserves fetcher import the program id and getStableAmp from here.
 // -------------------------
-async function processSwap({ pool = {}, dx = 0, opts = {} } = {}) {
-    if (!pool || typeof pool !== 'object') throw new Error('processSwap: pool missing');
+const RAYDIUM_STABLE_PROGRAM = '5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h';
+
+const STABLE_AMP_FIELDS = [
+    'amp', 'amplification',
+    'raw.amp', 'raw.amplification', 'raw.amplificationCoefficient',
+    '_original.raw.amp', '_original.raw.amplificationCoefficient'
+];
+
+// First amplification coefficient set on the pool (null if none is a positive number)
+function getStableAmp(pool) {
+    for (const field of STABLE_AMP_FIELDS) {
+        const v = field.split('.').reduce((o, k) => o?.[k], pool);
+        if (v === undefined || v === null || v === '') continue;
+        const n = Number(v);
+        return Number.isFinite(n) && n > 0 ? n : null;
+    }
+    return null;
+}
+
+function stableInvariantD(x, y, ann) {
+    const S = x.plus(y);
+    if (S.lte(0)) return D(0);
+    let d = S;
+    for (let i = 0; i < 255; i++) {
+        const dP = d.pow(3).div(x.mul(y).mul(4));
+        const prev = d;
+        d = ann.mul(S).plus(dP.mul(2)).mul(d).div(ann.minus(1).mul(d).plus(dP.mul(3)));
+        if (d.minus(prev).abs().lte(d.mul('1e-18'))) break;
+    }
+    return d;
+}
+
+// Solve the invariant for the other balance given one balance and D.
+function stableSolveOther(known, d, ann) {
+    const c = d.pow(3).div(known.mul(4).mul(ann));
+    const b = known.plus(d.div(ann));
+    let y = d;
+    for (let i = 0; i < 255; i++) {
+        const prev = y;
+        y = y.pow(2).plus(c).div(y.mul(2).plus(b).minus(d));
+        if (y.minus(prev).abs().lte(y.mul('1e-18'))) break;
+    }
+    return y;
+}
+
+// Marginal token-out per token-in at (x, y): -dy/dx = F_x / F_y
+function stableMarginalPrice(x, y, d, ann) {
+    const d3 = d.pow(3);
+    const fx = ann.plus(d3.div(x.pow(2).mul(y).mul(4)));
+    const fy = ann.plus(d3.div(x.mul(y.pow(2)).mul(4)));
+    return fx.div(fy);
+}
+
+function simulateStableHuman({ xResHuman, yResHuman, dxHuman, feeRate, amp }) {
+    const x = D(xResHuman);
+    const y = D(yResHuman);
+    const dx = D(dxHuman);
+    const ann = D(amp).mul(4);
+    const meta = { type: 'stable', isApprox: false, amp: Number(amp) };
+
+    if (x.lte(0) || y.lte(0) || dx.lte(0)) {
+        return { dyHuman: D(0), feePaidHuman: D(0), midPrice: D(0), executionPrice: D(0), priceImpactPct: D(0), meta };
+    }
+
+    const fee = D(feeRate || 0);
+    const dxAfterFee = dx.mul(D(1).minus(fee));
+    const d = stableInvariantD(x, y, ann);
+    const newY = stableSolveOther(x.plus(dxAfterFee), d, ann);
+    const dy = Decimal.max(0, y.minus(newY));
+
+    const midPrice = stableMarginalPrice(x, y, d, ann);
+    const executionPrice = dy.div(dx);
+    const priceImpact = midPrice.gt(0) ? midPrice.minus(executionPrice).abs().div(midPrice) : D(0);
+
+    return {
+        dyHuman: dy,
+        feePaidHuman: dx.mul(fee),
+        midPrice,
+        executionPrice,
+        priceImpactPct: pct(priceImpact),
+        meta
+    };
+}
+
+// -------------------------
+// Concentrated liquidity (CLMM / Whirlpool) tick-walking simulator
+//
+// Prices here are ATOMIC (token1 atomic per token0 atomic), the same convention
+// as the on-chain sqrtPriceX64. token0 = base (x), token1 = quote (y).
+// Segments are ranges of constant active liquidity:
+//   { tickLower, tickUpper, liquidity }
+// -------------------------
+const Q64 = Decimal.pow(2, 64);
+
+function tickToSqrtPrice(tick) {
+    return Decimal.pow('1.0001', D(tick).div(2));
+}
+
+function getClmmState(pool) {
+    const ps = pool.clmm?.poolState || {};
+    let sqrtPrice = pool.sqrtPriceCurrent ?? ps.sqrtPrice;
+    const sqrtPriceX64 = pool.sqrtPriceX64 ?? ps.sqrtPriceX64;
+    const tickCurrent = pool.tickCurrent ?? ps.tickCurrent;
+    if (sqrtPrice === undefined || sqrtPrice === null) {
+        if (sqrtPriceX64 !== undefined && sqrtPriceX64 !== null) sqrtPrice = D(sqrtPriceX64).div(Q64);
+        else if (tickCurrent !== undefined && tickCurrent !== null) sqrtPrice = tickToSqrtPrice(tickCurrent);
+    }
+    const segmentsRaw = pool.segments ?? pool.clmm?.segments;
+    if (sqrtPrice === undefined || sqrtPrice === null || !Array.isArray(segmentsRaw)) return null;
+
+    const segments = segmentsRaw
+        .map(s => ({
+            tickLower: Number(s.tickLower ?? s.lowerTick ?? s.startTick),
+            tickUpper: Number(s.tickUpper ?? s.upperTick ?? s.endTick),
+            liquidity: D(s.liquidity ?? 0)
+        }))
+        .filter(s => Number.isFinite(s.tickLower) && Number.isFinite(s.tickUpper) && s.tickUpper > s.tickLower && s.liquidity.gt(0))
+        .sort((a, b) => a.tickLower - b.tickLower)
+        .map(s => ({ ...s, sqrtLower: tickToSqrtPrice(s.tickLower), sqrtUpper: tickToSqrtPrice(s.tickUpper) }));
+
+    if (segments.length === 0 || D(sqrtPrice).lte(0)) return null;
+    return { sqrtPrice: D(sqrtPrice), tickCurrent, segments };
+}
+
+function hasClmmState(pool) {
+    return !!(pool && getClmmState(pool));
+}
+
+/**
+ * Find the liquidity range the price sits in for the swap direction.
+ * Returns { seg } when inside a range, { jumpTo } across an empty gap, or null when out of liquidity.
+ */
+function nextClmmRange(segs, s, zeroForOne) {
+    const seg = zeroForOne
+        ? segs.find(g => g.sqrtLower.lt(s) && g.sqrtUpper.gte(s))
+        : segs.find(g => g.sqrtLower.lte(s) && g.sqrtUpper.gt(s));
+    if (seg) return { seg };
+
+    // Gap with no active liquidity: price jumps to the next initialized range.
+    const next = zeroForOne
+        ? segs.filter(g => g.sqrtUpper.lt(s)).pop()
+        : segs.find(g => g.sqrtLower.gt(s));
+    if (!next) return null;
+    return { jumpTo: zeroForOne ? next.sqrtUpper : next.sqrtLower };
+}
+
+/**
+ * Walk ticks for an exact-in swap. dxAtomic is gross (fee is taken per step).
+ * zeroForOne=true => token0 in, price moves down.
+ * Returns atomic Decimals: { dyAtomic, feePaidAtomic, sqrtPriceAfter, ticksCrossed }
+ */
+function walkClmmExactIn({ state, dxAtomic, feeRate, zeroForOne }) {
+    const fee = D(feeRate || 0);
+    if (fee.gte(1)) throw new Error('processSwap: CLMM feeRate must be < 1');
+    const keep = D(1).minus(fee);
+
+    let s = state.sqrtPrice;
+    let remaining = D(dxAtomic);
+    let dy = D(0);
+    let feePaid = D(0);
+    let ticksCrossed = 0;
+    const segs = state.segments;
+
+    for (let guard = 0; remaining.gt(0) && guard <= segs.length * 2 + 2; guard++) {
+        const range = nextClmmRange(segs, s, zeroForOne);
+        if (!range) break;
+        if (range.jumpTo) {
+            s = range.jumpTo;
+            ticksCrossed++;
+            continue;
+        }
+
+        const L = range.seg.liquidity;
+        const target = zeroForOne ? range.seg.sqrtLower : range.seg.sqrtUpper;
+        const net = remaining.mul(keep);
+        const maxIn = zeroForOne
+            ? L.mul(s.minus(target)).div(s.mul(target))
+            : L.mul(target.minus(s));
+
+        if (net.gte(maxIn)) {
+            const gross = maxIn.div(keep);
+            dy = dy.plus(zeroForOne ? L.mul(s.minus(target)) : L.mul(target.minus(s)).div(s.mul(target)));
+            feePaid = feePaid.plus(gross.minus(maxIn));
+            remaining = Decimal.max(0, remaining.minus(gross));
+            s = target;
+            ticksCrossed++;
+        } else {
+            const sNew = zeroForOne
+                ? L.mul(s).div(L.plus(net.mul(s)))
+                : s.plus(net.div(L));
+            dy = dy.plus(zeroForOne ? L.mul(s.minus(sNew)) : L.mul(sNew.minus(s)).div(s.mul(sNew)));
+            feePaid = feePaid.plus(remaining.minus(net));
+            remaining = D(0);
+            s = sNew;
+        }
+    }
+
+    if (remaining.gt(0)) {
+        throw new Error(`processSwap: CLMM liquidity exhausted after ${ticksCrossed} tick crossings`);
+    }
+
+    return { dyAtomic: dy, feePaidAtomic: feePaid, sqrtPriceAfter: s, ticksCrossed };
+}
+
+/**
+ * Walk ticks for an exact-out swap. dyAtomic is the amount the trader must receive.
+ * Returns atomic Decimals: { dxAtomic (gross, unrounded), feePaidAtomic, sqrtPriceAfter, ticksCrossed }
+ */
+function walkClmmExactOut({ state, dyAtomic, feeRate, zeroForOne }) {
+    const fee = D(feeRate || 0);
+    if (fee.gte(1)) throw new Error('processSwapExactOut: CLMM feeRate must be < 1');
+    const keep = D(1).minus(fee);
+
+    let s = state.sqrtPrice;
+    let remaining = D(dyAtomic);
+    let dxNet = D(0);
+    let ticksCrossed = 0;
+    const segs = state.segments;
+
+    for (let guard = 0; remaining.gt(0) && guard <= segs.length * 2 + 2; guard++) {
+        const range = nextClmmRange(segs, s, zeroForOne);
+        if (!range) break;
+        if (range.jumpTo) {
+            s = range.jumpTo;
+            ticksCrossed++;
+            continue;
+        }
+
+        const L = range.seg.liquidity;
+        const target = zeroForOne ? range.seg.sqrtLower : range.seg.sqrtUpper;
+        const maxOut = zeroForOne
+            ? L.mul(s.minus(target))
+            : L.mul(target.minus(s)).div(s.mul(target));
+
+        if (remaining.gte(maxOut)) {
+            dxNet = dxNet.plus(zeroForOne ? L.mul(s.minus(target)).div(s.mul(target)) : L.mul(target.minus(s)));
+            remaining = remaining.minus(maxOut);
+            s = target;
+            ticksCrossed++;
+        } else {
+            const sNew = zeroForOne
+                ? s.minus(remaining.div(L))
+                : D(1).div(D(1).div(s).minus(remaining.div(L)));
+            dxNet = dxNet.plus(zeroForOne ? L.mul(s.minus(sNew)).div(s.mul(sNew)) : L.mul(sNew.minus(s)));
+            remaining = D(0);
+            s = sNew;
+        }
+    }
+
+    if (remaining.gt(0)) {
+        throw new Error(`processSwapExactOut: CLMM liquidity exhausted after ${ticksCrossed} tick crossings`);
+    }
+
+    const dxGross = dxNet.div(keep);
+    return { dxAtomic: dxGross, feePaidAtomic: dxGross.minus(dxNet), sqrtPriceAfter: s, ticksCrossed };
+}
+
+// token-out per token-in (human) from the atomic sqrt price
+function clmmMidPrice(state, isReverse, baseDecimals, quoteDecimals) {
+    const priceHuman = state.sqrtPrice.pow(2).mul(pow10(baseDecimals)).div(pow10(quoteDecimals));
+    return isReverse ? D(1).div(priceHuman) : priceHuman;
+}
+
+function simulateCLMMHuman({ pool, type, dxAtomic, feeRate, isReverse, baseDecimals, quoteDecimals }) {
+    const state = getClmmState(pool);
+    if (!state) {
+        throw new Error('processSwap: CLMM/Whirlpool requires sqrtPrice + tick segments (or SDK fallback)');
+    }
+
+    const inDecimals = isReverse ? quoteDecimals : baseDecimals;
+    const outDecimals = isReverse ? baseDecimals : quoteDecimals;
+    const dxHuman = atomicToHuman(dxAtomic, inDecimals);
+    const meta = { type, isApprox: false };
+
+    const midPrice = clmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+
+    if (dxHuman.lte(0)) {
+        return { dyHuman: D(0), feePaidHuman: D(0), midPrice, executionPrice: D(0), priceImpactPct: D(0), meta };
+    }
+
+    const walk = walkClmmExactIn({ state, dxAtomic, feeRate, zeroForOne: !isReverse });
+
+    const dyHuman = atomicToHuman(walk.dyAtomic, outDecimals);
+    const executionPrice = dyHuman.div(dxHuman);
+    const priceImpact = midPrice.gt(0) ? midPrice.minus(executionPrice).abs().div(midPrice) : D(0);
+
+    return {
+        dyHuman,
+        feePaidHuman: atomicToHuman(walk.feePaidAtomic, inDecimals),
+        midPrice,
+        executionPrice,
+        priceImpactPct: pct(priceImpact),
+        meta: { ...meta, ticksCrossed: walk.ticksCrossed, sqrtPriceAfter: walk.sqrtPriceAfter.toString() }
+    };
+}
+
+// -------------------------
+// Meteora DLMM bin-by-bin simulator
+//
+// Liquidity sits in discrete bins; each bin trades at a fixed ATOMIC price
+// (token Y atomic per token X atomic):
+//   price(binId) = (1 + binStep / 10000) ^ binId
+// Bins come from attachSdkRawState: pool.dlmm.bins = [{ binId, xAmount, yAmount }]
+// -------------------------
+function getDlmmBinStep(pool) {
+    const v = pool.dlmm?.binStep ?? pool.binStep ?? pool.raw?.bin_step ?? pool._original?.raw?.bin_step;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function binIdToPrice(binId, binStep) {
+    return D(1).plus(D(binStep).div(10000)).pow(Number(binId));
+}
+
+function getDlmmState(pool) {
+    const binsRaw = pool.dlmm?.bins;
+    const activeBinId = Number(pool.dlmm?.activeBinId ?? pool.activeBinId);
+    if (!Array.isArray(binsRaw) || binsRaw.length === 0 || !Number.isFinite(activeBinId)) return null;
+
+    const binStep = getDlmmBinStep(pool);
+    const bins = binsRaw
+        .map(b => {
+            const binId = Number(b.binId ?? b.id);
+            const price = binStep !== null ? binIdToPrice(binId, binStep) : D(b.price ?? 0);
+            return {
+                binId,
+                price,
+                xAmount: D(String(b.xAmount ?? b.amountX ?? 0)),
+                yAmount: D(String(b.yAmount ?? b.amountY ?? 0))
+            };
+        })
+        .filter(b => Number.isFinite(b.binId) && b.price.gt(0))
+        .sort((a, b) => a.binId - b.binId);
+
+    if (bins.length === 0) return null;
+
+    const active = bins.find(b => b.binId === activeBinId);
+    const activePrice = binStep !== null ? binIdToPrice(activeBinId, binStep) : (active ? active.price : null);
+    if (!activePrice) return null;
+
+    const isReal = binStep !== null && !binsRaw.some(b => b && b._fallback);
+    return { activeBinId, activePrice, binStep, bins, isReal };
+}
+
+function hasDlmmBins(pool) {
+    return !!(pool && getDlmmState(pool));
+}
+
+// -------------------------
+// DLMM dynamic fee (base + volatility-driven variable fee), FEE_PRECISION = 1e9
+//   base     = baseFactor * binStep * 10 * 10^baseFeePowerFactor
+//   variable = ceil(variableFeeControl * (volatilityAccumulator * binStep)^2 / 1e11)
+//   total    = min(base + variable, 1e8)
+// The accumulator is recomputed for every bin the swap visits:
+//   va = min(volatilityReference + |indexReference - binId| * 10000, maxVolatilityAccumulator)
+// Params come from the lb pair account: pool.dlmm.parameters / pool.dlmm.vParameters.
+// -------------------------
+const DLMM_FEE_PRECISION = 1000000000n;
+const DLMM_MAX_FEE_RATE = 100000000n;
+
+function toBigIntSafe(v, fallback = 0n) {
+    try {
+        if (v === undefined || v === null || v === '') return fallback;
+        return BigInt(String(v).split('.')[0]);
+    } catch {
+        return fallback;
+    }
+}
+
+function resolveDlmmFeeModel(pool, opts = {}) {
+    const prm = pool.dlmm?.parameters ?? pool.dlmm?.feeParameters ?? pool.parameters;
+    const binStep = getDlmmBinStep(pool);
+    if (!prm || prm.baseFactor === undefined || binStep === null) return null;
+
+    const v = pool.dlmm?.vParameters ?? pool.vParameters ?? {};
+    const step = BigInt(binStep);
+    const baseFee = toBigIntSafe(prm.baseFactor) * step * 10n * (10n ** toBigIntSafe(prm.baseFeePowerFactor));
+    const variableFeeControl = toBigIntSafe(prm.variableFeeControl);
+    const maxVa = toBigIntSafe(prm.maxVolatilityAccumulator, 2n ** 32n);
+
+    const lastVa = toBigIntSafe(v.volatilityAccumulator);
+    let volatilityReference = toBigIntSafe(v.volatilityReference, lastVa);
+    const activeBinId = Number(pool.dlmm?.activeBinId ?? pool.activeBinId ?? 0);
+    let indexReference = BigInt(Number.isFinite(Number(v.indexReference)) ? Number(v.indexReference) : activeBinId);
+
+    // Program's update_references(): decay the reference by elapsed time since the last swap
+    const last = Number(v.lastUpdateTimestamp);
+    if (Number.isFinite(last) && last > 0 && prm.filterPeriod !== undefined) {
+        const now = Number(opts.nowSec ?? Math.floor(Date.now() / 1000));
+        const elapsed = now - last;
+        if (elapsed >= Number(prm.filterPeriod)) {
+            indexReference = BigInt(activeBinId);
+            volatilityReference = elapsed < Number(prm.decayPeriod ?? 0)
+                ? lastVa * toBigIntSafe(prm.reductionFactor) / 10000n
+                : 0n;
+        }
+    }
+
+    const variableFeeAt = (binId) => {
+        if (variableFeeControl <= 0n) return 0n;
+        const delta = indexReference > BigInt(binId) ? indexReference - BigInt(binId) : BigInt(binId) - indexReference;
+        let va = volatilityReference + delta * 10000n;
+        if (va > maxVa) va = maxVa;
+        const sq = (va * step) ** 2n;
+        return (variableFeeControl * sq + 99999999999n) / 100000000000n;
+    };
+    const totalAt = (binId) => {
+        const total = baseFee + variableFeeAt(binId);
+        return total > DLMM_MAX_FEE_RATE ? DLMM_MAX_FEE_RATE : total;
+    };
+    const toFraction = (x) => D(x.toString()).div(DLMM_FEE_PRECISION.toString());
+
+    return {
+        baseFeeRate: toFraction(baseFee),
+        feeRateAtRaw: totalAt,
+        feeRateAt: (binId) => toFraction(totalAt(binId)),
+        feeRateNow: toFraction(totalAt(activeBinId))
+    };
+}
+
+function constantFee(feeRate) {
+    const fee = D(feeRate || 0);
+    return () => fee;
+}
+
+/**
+ * Walk bins for an exact-in swap. dxAtomic is gross (fee is taken per bin at feeRateAt(binId)).
+ * swapForY=true => X in, Y out, walking down from the active bin.
+ * Returns atomic Decimals: { dyAtomic, feePaidAtomic, binsCrossed, endBinId }
+ */
+function walkDlmmExactIn({ state, dxAtomic, feeRateAt, swapForY }) {
+    const path = swapForY
+        ? state.bins.filter(b => b.binId <= state.activeBinId).reverse()
+        : state.bins.filter(b => b.binId >= state.activeBinId);
+
+    let remaining = D(dxAtomic);
+    let dy = D(0);
+    let feePaid = D(0);
+    let binsCrossed = 0;
+    let endBinId = state.activeBinId;
+
+    for (const bin of path) {
+        if (remaining.lte(0)) break;
+        const liquidityOut = swapForY ? bin.yAmount : bin.xAmount;
+        if (liquidityOut.lte(0)) continue;
+
+        endBinId = bin.binId;
+        const fee = feeRateAt(bin.binId);
+        if (fee.gte(1)) throw new Error('processSwap: DLMM feeRate must be < 1');
+        const keep = D(1).minus(fee);
+        const net = remaining.mul(keep);
+        const maxIn = swapForY ? liquidityOut.div(bin.price) : liquidityOut.mul(bin.price);
+
+        if (net.gte(maxIn)) {
+            const gross = maxIn.div(keep);
+            dy = dy.plus(liquidityOut);
+            feePaid = feePaid.plus(gross.minus(maxIn));
+            remaining = Decimal.max(0, remaining.minus(gross));
+            binsCrossed++;
+        } else {
+            dy = dy.plus(swapForY ? net.mul(bin.price) : net.div(bin.price));
+            feePaid = feePaid.plus(remaining.minus(net));
+            remaining = D(0);
+        }
+    }
+
+    if (remaining.gt(0)) {
+        throw new Error(`processSwap: DLMM liquidity exhausted after ${binsCrossed} bins`);
+    }
+
+    return { dyAtomic: dy, feePaidAtomic: feePaid, binsCrossed, endBinId };
+}
+
+/**
+ * Walk bins for an exact-out swap. dyAtomic is the amount the trader must receive.
+ * Returns atomic Decimals: { dxAtomic (gross, unrounded), feePaidAtomic, binsCrossed, endBinId }
+ */
+function walkDlmmExactOut({ state, dyAtomic, feeRateAt, swapForY }) {
+    const path = swapForY
+        ? state.bins.filter(b => b.binId <= state.activeBinId).reverse()
+        : state.bins.filter(b => b.binId >= state.activeBinId);
+
+    let remaining = D(dyAtomic);
+    let dxNet = D(0);
+    let dxGross = D(0);
+    let binsCrossed = 0;
+    let endBinId = state.activeBinId;
+
+    for (const bin of path) {
+        if (remaining.lte(0)) break;
+        const liquidityOut = swapForY ? bin.yAmount : bin.xAmount;
+        if (liquidityOut.lte(0)) continue;
+
+        endBinId = bin.binId;
+        const fee = feeRateAt(bin.binId);
+        if (fee.gte(1)) throw new Error('processSwapExactOut: DLMM feeRate must be < 1');
+        const take = Decimal.min(remaining, liquidityOut);
+        const inNet = swapForY ? take.div(bin.price) : take.mul(bin.price);
+        dxNet = dxNet.plus(inNet);
+        dxGross = dxGross.plus(inNet.div(D(1).minus(fee)));
+        remaining = remaining.minus(take);
+        if (take.eq(liquidityOut)) binsCrossed++;
+    }
+
+    if (remaining.gt(0)) {
+        throw new Error(`processSwapExactOut: DLMM liquidity exhausted after ${binsCrossed} bins`);
+    }
+
+    return { dxAtomic: dxGross, feePaidAtomic: dxGross.minus(dxNet), binsCrossed, endBinId };
+}
+
+// token-out per token-in (human) from the active bin price
+function dlmmMidPrice(state, isReverse, baseDecimals, quoteDecimals) {
+    const priceHuman = state.activePrice.mul(pow10(baseDecimals)).div(pow10(quoteDecimals));
+    return isReverse ? D(1).div(priceHuman) : priceHuman;
+}
+
+function simulateDLMMHuman({ pool, dxAtomic, feeRate, feeModel, isReverse, baseDecimals, quoteDecimals }) {
+    const state = getDlmmState(pool);
+    if (!state) throw new Error('processSwap: DLMM requires pool.dlmm.activeBinId + bins');
+
+    const inDecimals = isReverse ? quoteDecimals : baseDecimals;
+    const outDecimals = isReverse ? baseDecimals : quoteDecimals;
+    const dxHuman = atomicToHuman(dxAtomic, inDecimals);
+    const meta = { type: 'dlmm', isApprox: !state.isReal, ...dlmmFeeMeta(feeModel, feeRate) };
+
+    const midPrice = dlmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+
+    if (dxHuman.lte(0)) {
+        return { dyHuman: D(0), feePaidHuman: D(0), midPrice, executionPrice: D(0), priceImpactPct: D(0), meta };
+    }
+
+    const feeRateAt = feeModel ? feeModel.feeRateAt : constantFee(feeRate);
+    const walk = walkDlmmExactIn({ state, dxAtomic, feeRateAt, swapForY: !isReverse });
+
+    const dyHuman = atomicToHuman(walk.dyAtomic, outDecimals);
+    const executionPrice = dyHuman.div(dxHuman);
+    const priceImpact = midPrice.gt(0) ? midPrice.minus(executionPrice).abs().div(midPrice) : D(0);
+
+    return {
+        dyHuman,
+        feePaidHuman: atomicToHuman(walk.feePaidAtomic, inDecimals),
+        midPrice,
+        executionPrice,
+        priceImpactPct: pct(priceImpact),
+        meta: {
+            ...meta,
+            // effective fee across all visited bins
+            feeRate: D(dxAtomic).gt(0) ? walk.feePaidAtomic.div(dxAtomic).toString() : meta.feeRate,
+            binsCrossed: walk.binsCrossed,
+            endBinId: walk.endBinId
+        }
+    };
+}
+
+function dlmmFeeMeta(feeModel, staticFee) {
+    if (!feeModel) return { feeModel: 'static', feeRate: D(staticFee || 0).toString() };
+    return {
+        feeModel: 'dynamic',
+        feeRate: feeModel.feeRateNow.toString(),
+        baseFeeRate: feeModel.baseFeeRate.toString(),
+        variableFeeRate: feeModel.feeRateNow.minus(feeModel.baseFeeRate).toString()
+    };
+}
+
+// Pool types simulated as CPMM only for lack of state are flagged as approximations.
+function cpmmFallbackMeta(typeRaw, meta) {
+    if (typeRaw === 'dlmm' && meta.type === 'cpmm') return { ...meta, type: 'dlmm', isApprox: true, notes: 'cpmm_fallback (no bin data)' };
+    if (typeRaw === 'stable' && meta.type === 'cpmm') return { ...meta, type: 'stable', isApprox: true, notes: 'cpmm_fallback (no amp coefficient)' };
+    return meta;
+}
+
+// -------------------------
+// Raydium AMM v4 fee accounting
+// The program charges swapFeeNumerator / swapFeeDenominator of the input; of that fee,
+// pnlNumerator / pnlDenominator is the protocol (pnl) share and the rest stays with LPs.
+// Fields come from the AmmInfo fees struct: pool.fees.{swapFeeNumerator, ...} (or flat on the pool).
+// -------------------------
+const RAYDIUM_AMM_V4_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_CPMM_PROGRAM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+// AmmInfo defaults when the account's pnl fields are not attached
+const RAYDIUM_V4_DEFAULT_PNL = { numerator: 12, denominator: 100 };
+
+function getRaydiumV4Fees(pool) {
+    const f = pool.fees ?? pool.raw?.fees ?? pool;
+    const num = Number(f?.swapFeeNumerator);
+    const den = Number(f?.swapFeeDenominator);
+    if (!Number.isFinite(num) || !Number.isFinite(den) || den <= 0 || num < 0 || num >= den) return null;
+    const pnlNum = Number(f.pnlNumerator ?? RAYDIUM_V4_DEFAULT_PNL.numerator);
+    const pnlDen = Number(f.pnlDenominator ?? RAYDIUM_V4_DEFAULT_PNL.denominator);
+    const validPnl = Number.isFinite(pnlNum) && Number.isFinite(pnlDen) && pnlDen > 0 && pnlNum >= 0 && pnlNum <= pnlDen;
+    return {
+        swapFeeNumerator: num,
+        swapFeeDenominator: den,
+        pnlNumerator: validPnl ? pnlNum : RAYDIUM_V4_DEFAULT_PNL.numerator,
+        pnlDenominator: validPnl ? pnlDen : RAYDIUM_V4_DEFAULT_PNL.denominator
+    };
+}
+
+// split a fee (any unit) into { lpFee, protocolFee } by the pnl share
+function splitRaydiumV4Fee(v4, fee) {
+    const protocolFee = D(fee).mul(v4.pnlNumerator).div(v4.pnlDenominator);
+    return { lpFee: D(fee).minus(protocolFee), protocolFee };
+}
+
+function raydiumV4FeeMeta(v4, feePaidHuman) {
+    const { lpFee, protocolFee } = splitRaydiumV4Fee(v4, feePaidHuman);
+    return {
+        program: 'raydium_v4',
+        feeRate: D(v4.swapFeeNumerator).div(v4.swapFeeDenominator).toString(),
+        swapFeeNumerator: v4.swapFeeNumerator,
+        swapFeeDenominator: v4.swapFeeDenominator,
+        lpFeeHuman: lpFee.toString(),
+        protocolFeeHuman: protocolFee.toString()
+    };
+}
+
+// -------------------------
+// Exact integer mode (opts.exact=true): per-program BigInt math from exactSwapMath.js on
+// atomic amounts. dyHuman is built from the program's integer dy, so flooring it back to
+// atomic reproduces the chain's output exactly. Returns null for pools without an integer
+// model (stable, DLMM without bin data), which then take the Decimal path.
+// -------------------------
+
+// fractional fee -> integer rate over `denominator` (e.g. 0.0025 over 1e6 -> 2500n)
+function feeToUnits(feeRate, denominator) {
+    return BigInt(D(feeRate || 0).mul(denominator).toDecimalPlaces(0, Decimal.ROUND_HALF_UP).toFixed(0));
+}
+
+function getCpmmProgram(pool) {
+    const programId = (pool.programId ?? pool.raw?.programId ?? '').toString();
+    if (programId === RAYDIUM_CPMM_PROGRAM) return 'raydium_cpmm';
+    if (programId === RAYDIUM_AMM_V4_PROGRAM) return 'raydium_v4';
+    // without a program id only the AmmInfo fee fields identify a v4 pool
+    if (getRaydiumV4Fees(pool)) return 'raydium_v4';
+    return 'constant_product';
+}
+
+// { numerator, denominator } as the program stores it (v4 = getRaydiumV4Fees when the
+// account fees apply); falls back to feeRate over 1e6
+function getCpmmFeeFraction(pool, program, feeRate, v4) {
+    if (v4) return { numerator: BigInt(v4.swapFeeNumerator), denominator: BigInt(v4.swapFeeDenominator) };
+    if (program === 'raydium_cpmm' && pool.tradeFeeRate !== undefined) {
+        return { numerator: BigInt(pool.tradeFeeRate), denominator: 1000000n };
+    }
+    return { numerator: feeToUnits(feeRate, 1000000), denominator: 1000000n };
+}
+
+function processSwapExactInteger({ pool, typeRaw, dx, feeRate, opts, isReverse, baseDecimals, quoteDecimals }) {
+    const inDecimals = isReverse ? quoteDecimals : baseDecimals;
+    const outDecimals = isReverse ? baseDecimals : quoteDecimals;
+    const dxAtomic = D(dx).floor();
+    const amountIn = BigInt(dxAtomic.toFixed(0));
+
+    let res;
+    let midPrice;
+    let meta;
+
+    if (typeRaw === 'clmm' || typeRaw === 'whirlpool') {
+        const state = getClmmState(pool);
+        if (!state) throw new Error('processSwap: CLMM/Whirlpool requires sqrtPrice + tick segments (or SDK fallback)');
+        const ps = pool.clmm?.poolState || {};
+        const sqrtPriceX64 = pool.sqrtPriceX64 ?? ps.sqrtPriceX64 ?? state.sqrtPrice.mul(Q64).floor().toFixed(0);
+        const tradeFeeRate = pool.tradeFeeRate ?? ps.tradeFeeRate;
+        res = exactMath.clmmSwapExactIn({
+            sqrtPriceX64,
+            segments: pool.segments ?? pool.clmm?.segments,
+            amountIn,
+            feeRate: tradeFeeRate !== undefined ? BigInt(tradeFeeRate) : feeToUnits(feeRate, 1000000),
+            aToB: !isReverse
+        });
+        midPrice = clmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+        meta = { type: typeRaw, isApprox: false, ticksCrossed: res.ticksCrossed, sqrtPriceAfterX64: res.sqrtPriceX64.toString() };
+    } else if (typeRaw === 'dlmm') {
+        const state = getDlmmState(pool);
+        if (!state || state.binStep === null) return null;
+        const feeModel = opts.feeRate === undefined ? resolveDlmmFeeModel(pool, opts) : null;
+        const staticFee = feeToUnits(feeRate, 1000000000);
+        res = exactMath.dlmmSwapExactIn({
+            bins: state.bins,
+            activeBinId: state.activeBinId,
+            binStep: state.binStep,
+            amountIn,
+            feeRateAt: feeModel ? feeModel.feeRateAtRaw : () => staticFee,
+            swapForY: !isReverse
+        });
+        midPrice = dlmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+        meta = { type: 'dlmm', isApprox: !state.isReal, ...dlmmFeeMeta(feeModel, feeRate), binsCrossed: res.binsCrossed, endBinId: res.endBinId };
+    } else if (typeRaw === 'stable') {
+        return null;
+    } else {
+        const xReserve = D(pool.xReserve ?? pool.liquidityX ?? 0);
+        const yReserve = D(pool.yReserve ?? pool.liquidityY ?? 0);
+        if (xReserve.lte(0) || yReserve.lte(0)) {
+            throw new Error(`processSwap: Missing pool reserves: x=${pool.xReserve}, y=${pool.yReserve}`);
+        }
+        const program = getCpmmProgram(pool);
+        const v4 = program === 'raydium_v4' && opts.feeRate === undefined ? getRaydiumV4Fees(pool) : null;
+        const { numerator, denominator } = getCpmmFeeFraction(pool, program, feeRate, v4);
+        res = exactMath.cpmmSwapExactIn({
+            reserveIn: isReverse ? yReserve : xReserve,
+            reserveOut: isReverse ? xReserve : yReserve,
+            amountIn,
+            feeNumerator: numerator,
+            feeDenominator: denominator,
+            program
+        });
+        const xResHuman = atomicToHuman(xReserve, baseDecimals);
+        const yResHuman = atomicToHuman(yReserve, quoteDecimals);
+        midPrice = isReverse ? xResHuman.div(yResHuman) : yResHuman.div(xResHuman);
+        meta = { type: 'cpmm', isApprox: false, program };
+        if (v4) meta = { ...meta, ...raydiumV4FeeMeta(v4, atomicToHuman(res.fee.toString(), inDecimals)) };
+    }
+
+    const dyAtomic = D(res.amountOut.toString());
+    const dxHuman = atomicToHuman(dxAtomic, inDecimals);
+    const dyHuman = atomicToHuman(dyAtomic, outDecimals);
+
+    return {
+        dyHuman,
+        feePaidHuman: atomicToHuman(res.fee.toString(), inDecimals),
+        midPrice,
+        ...withPriceImpact(midPrice, dxHuman, dyHuman),
+        inDecimals,
+        outDecimals,
+        meta: {
+            ...meta,
+            exact: true,
+            dyAtomic: dyAtomic.toFixed(0),
+            feePaidAtomic: res.fee.toString(),
+            ...(amountIn > 0n ? { feeRate: D(res.fee.toString()).div(dxAtomic).toString() } : {})
+        }
+    };
+}
+
+// -------------------------
+// processSwapCore (atomic input) -> dyHuman, pool math only (processSwap adds transfer fees)
+// Supports: cpmm, stable (amplified invariant), dlmm (bin walk; CPMM fallback without bins),
+//           clmm/whirlpool (tick-walking over pool.segments)
+// -------------------------
+async function processSwapCore({ pool, dx, opts }) {
     const typeRaw = (pool.type || pool.poolType || 'cpmm').toString().toLowerCase();
     const feeRate = opts.feeRate !== undefined ? opts.feeRate : (pool.fee ?? pool.feePct ?? 0);
     const isReverse = !!opts.isReverse;
@@ -90,17 +851,37 @@ async function processSwap({ pool = {}, dx = 0, opts = {} } = {}) {
     const baseDecimals = pool.baseDecimals ?? pool.baseToken?.decimals ?? 0;
     const quoteDecimals = pool.quoteDecimals ?? pool.quoteToken?.decimals ?? 0;
 
-    // We only do reserve-based simulation here.
-    // For CLMM/Whirlpool, you should use SDK fallback at the engine layer.
-    if (typeRaw === 'clmm' || typeRaw === 'whirlpool') {
-        throw new Error('processSwap: CLMM/Whirlpool requires SDK fallback (not supported by reserve-only math)');
-    }
-
     // Determine which side is token-in and token-out in THIS CALL.
     // Convention: if isReverse=false => base -> quote. isReverse=true => quote -> base.
     const inDecimals = isReverse ? quoteDecimals : baseDecimals;
     const outDecimals = isReverse ? baseDecimals : quoteDecimals;
 
+    if (opts.exact) {
+        const exact = processSwapExactInteger({ pool, typeRaw, dx, feeRate, opts, isReverse, baseDecimals, quoteDecimals });
+        if (exact) return exact;
+    }
+
+    // CLMM/Whirlpool: walk ticks from account state (sqrtPrice, tickCurrent, segments).
+    if (typeRaw === 'clmm' || typeRaw === 'whirlpool') {
+        const sim = simulateCLMMHuman({ pool, type: typeRaw, dxAtomic: D(dx), feeRate, isReverse, baseDecimals, quoteDecimals });
+        return { ...sim, inDecimals, outDecimals };
+    }
+
+    // DLMM: walk bins when the SDK state is attached, otherwise approximate as CPMM below.
+    // The dynamic fee replaces the static pool.fee whenever the lb pair parameters are present,
+    // unless the caller passed opts.feeRate.
+    const dlmmFee = typeRaw === 'dlmm' && opts.feeRate === undefined ? resolveDlmmFeeModel(pool, opts) : null;
+    if (typeRaw === 'dlmm' && hasDlmmBins(pool)) {
+        const sim = simulateDLMMHuman({ pool, dxAtomic: D(dx), feeRate, feeModel: dlmmFee, isReverse, baseDecimals, quoteDecimals });
+        return { ...sim, inDecimals, outDecimals };
+    }
+    // Raydium v4: the account's numerator/denominator pair wins over the rounded pool.fee
+    // (an explicit opts.feeRate still wins over both)
+    const v4Fees = typeRaw === 'cpmm' && opts.feeRate === undefined ? getRaydiumV4Fees(pool) : null;
+    const cpmmFeeRate = dlmmFee
+        ? dlmmFee.feeRateNow
+        : (v4Fees ? D(v4Fees.swapFeeNumerator).div(v4Fees.swapFeeDenominator) : feeRate);
+
     // reserves are stored as ATOMIC amounts for base/quote
     const xReserveAtomic = D(pool.xReserve ?? pool.liquidityX ?? 0);
     const yReserveAtomic = D(pool.yReserve ?? pool.liquidityY ?? 0);
@@ -115,22 +896,33 @@ async function processSwap({ pool = {}, dx = 0, opts = {} } = {}) {
     // Convert input dx (atomic) to HUMAN in token-in units
     const dxHuman = atomicToHuman(dx, inDecimals);
 
+    // Stable pools use the amplified invariant; without an amp coefficient fall back to CPMM.
+    const amp = typeRaw === 'stable' ? getStableAmp(pool) : null;
+
     // If reverse, swap (x,y) in math so token-in corresponds to x side.
     let sim;
-    if (isReverse) {
+    if (amp !== null) {
+        sim = simulateStableHuman({
+            xResHuman: isReverse ? yResHuman : xResHuman,
+            yResHuman: isReverse ? xResHuman : yResHuman,
+            dxHuman,
+            feeRate,
+            amp
+        });
+    } else if (isReverse) {
         // token-in is quote, token-out is base
         sim = simulateCPMMHuman({
             xResHuman: yResHuman,  // treat quote reserve as x
             yResHuman: xResHuman,  // treat base reserve as y
             dxHuman,
-            feeRate
+            feeRate: cpmmFeeRate
         });
     } else {
         sim = simulateCPMMHuman({
             xResHuman,
             yResHuman,
             dxHuman,
-            feeRate
+            feeRate: cpmmFeeRate
         });
     }
 
@@ -144,14 +936,22 @@ async function processSwap({ pool = {}, dx = 0, opts = {} } = {}) {
         priceImpactPct: sim.priceImpactPct,
         inDecimals,
         outDecimals,
-        meta: sim.meta
+        meta: typeRaw === 'dlmm'
+            ? { ...cpmmFallbackMeta(typeRaw, sim.meta), ...dlmmFeeMeta(dlmmFee, feeRate) }
+            : (v4Fees
+                ? { ...sim.meta, ...raydiumV4FeeMeta(v4Fees, sim.feePaidHuman) }
+                : cpmmFallbackMeta(typeRaw, sim.meta))
     };
 }
 
 // -------------------------
-// computeTotalCostTokenOut (analytical) for ranking
+// processSwapExactOutCore (atomic output) -> required dx, pool math only
+// Same shape as processSwap, plus dxAtomic (integer, rounded UP) and dxHuman.
+// Supports: cpmm, stable, dlmm (bin walk; CPMM fallback without bins), clmm/whirlpool
 // -------------------------
-async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
+async function processSwapExactOutCore({ pool, dy, opts }) {
+    const typeRaw = (pool.type || pool.poolType || 'cpmm').toString().toLowerCase();
+    const feeRate = opts.feeRate !== undefined ? opts.feeRate : (pool.fee ?? pool.feePct ?? 0);
     const isReverse = !!opts.isReverse;
 
     const baseDecimals = pool.baseDecimals ?? pool.baseToken?.decimals ?? 0;
@@ -159,13 +959,226 @@ async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
     const inDecimals = isReverse ? quoteDecimals : baseDecimals;
     const outDecimals = isReverse ? baseDecimals : quoteDecimals;
 
-    const dxAtomic = D(amountInAtomic || 0);
+    const dyAtomic = D(dy).floor();
+    if (dyAtomic.lte(0)) throw new Error('processSwapExactOut: dy must be > 0');
+
+    let walk;
+    let midPrice;
+    let meta;
+
+    if (typeRaw === 'clmm' || typeRaw === 'whirlpool') {
+        const state = getClmmState(pool);
+        if (!state) throw new Error('processSwapExactOut: CLMM/Whirlpool requires sqrtPrice + tick segments');
+        walk = walkClmmExactOut({ state, dyAtomic, feeRate, zeroForOne: !isReverse });
+        midPrice = clmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+        meta = { type: typeRaw, isApprox: false, ticksCrossed: walk.ticksCrossed, sqrtPriceAfter: walk.sqrtPriceAfter.toString() };
+    } else if (typeRaw === 'dlmm' && hasDlmmBins(pool)) {
+        const state = getDlmmState(pool);
+        const feeModel = opts.feeRate === undefined ? resolveDlmmFeeModel(pool, opts) : null;
+        const feeRateAt = feeModel ? feeModel.feeRateAt : constantFee(feeRate);
+        walk = walkDlmmExactOut({ state, dyAtomic, feeRateAt, swapForY: !isReverse });
+        midPrice = dlmmMidPrice(state, isReverse, baseDecimals, quoteDecimals);
+        meta = {
+            type: 'dlmm',
+            isApprox: !state.isReal,
+            ...dlmmFeeMeta(feeModel, feeRate),
+            feeRate: walk.dxAtomic.gt(0) ? walk.feePaidAtomic.div(walk.dxAtomic).toString() : D(feeRate || 0).toString(),
+            binsCrossed: walk.binsCrossed,
+            endBinId: walk.endBinId
+        };
+    } else {
+        const xReserveAtomic = D(pool.xReserve ?? pool.liquidityX ?? 0);
+        const yReserveAtomic = D(pool.yReserve ?? pool.liquidityY ?? 0);
+        if (xReserveAtomic.lte(0) || yReserveAtomic.lte(0)) {
+            throw new Error(`processSwapExactOut: Missing pool reserves: x=${pool.xReserve}, y=${pool.yReserve}`);
+        }
+        const rIn = isReverse ? yReserveAtomic : xReserveAtomic;
+        const rOut = isReverse ? xReserveAtomic : yReserveAtomic;
+        if (dyAtomic.gte(rOut)) throw new Error('processSwapExactOut: dy exceeds pool reserves');
+
+        const dlmmFee = typeRaw === 'dlmm' && opts.feeRate === undefined ? resolveDlmmFeeModel(pool, opts) : null;
+        const v4Fees = typeRaw === 'cpmm' && opts.feeRate === undefined ? getRaydiumV4Fees(pool) : null;
+        const fee = dlmmFee
+            ? dlmmFee.feeRateNow
+            : (v4Fees ? D(v4Fees.swapFeeNumerator).div(v4Fees.swapFeeDenominator) : D(feeRate || 0));
+        if (fee.gte(1)) throw new Error('processSwapExactOut: feeRate must be < 1');
+
+        const amp = typeRaw === 'stable' ? getStableAmp(pool) : null;
+        let dxNet;
+        if (amp !== null) {
+            // solve the invariant for the token-in balance after dy leaves the pool (human units)
+            const xH = atomicToHuman(rIn, inDecimals);
+            const yH = atomicToHuman(rOut, outDecimals);
+            const ann = D(amp).mul(4);
+            const d = stableInvariantD(xH, yH, ann);
+            const newX = stableSolveOther(yH.minus(atomicToHuman(dyAtomic, outDecimals)), d, ann);
+            dxNet = humanToAtomicExact(newX.minus(xH), inDecimals);
+            midPrice = stableMarginalPrice(xH, yH, d, ann);
+            meta = { type: 'stable', isApprox: false, amp };
+        } else {
+            // constant product solved for input: dxAfterFee = x*dy/(y-dy)
+            dxNet = rIn.mul(dyAtomic).div(rOut.minus(dyAtomic));
+            midPrice = atomicToHuman(rOut, outDecimals).div(atomicToHuman(rIn, inDecimals));
+            meta = cpmmFallbackMeta(typeRaw, { type: 'cpmm', isApprox: false });
+            if (typeRaw === 'dlmm') meta = { ...meta, ...dlmmFeeMeta(dlmmFee, feeRate) };
+        }
+        const dxGross = dxNet.div(D(1).minus(fee));
+        walk = { dxAtomic: dxGross, feePaidAtomic: dxGross.minus(dxNet) };
+        if (v4Fees) meta = { ...meta, ...raydiumV4FeeMeta(v4Fees, atomicToHuman(walk.feePaidAtomic, inDecimals)) };
+    }
+
+    const dxAtomic = walk.dxAtomic.ceil();
     const dxHuman = atomicToHuman(dxAtomic, inDecimals);
+    const dyHuman = atomicToHuman(dyAtomic, outDecimals);
+    const executionPrice = dyHuman.div(dxHuman);
+    const priceImpact = midPrice.gt(0) ? midPrice.minus(executionPrice).abs().div(midPrice) : D(0);
+
+    return {
+        dxAtomic,
+        dxHuman,
+        dyHuman,
+        feePaidHuman: atomicToHuman(walk.feePaidAtomic, inDecimals),
+        midPrice,
+        executionPrice,
+        priceImpactPct: pct(priceImpact),
+        inDecimals,
+        outDecimals,
+        meta
+    };
+}
+
+// -------------------------
+// Token-2022 transfer fees (TransferFeeConfig extension)
+//
+// Config per mint: { transferFeeBasisPoints, maximumFee } (atomic), read from
+// pool.baseToken.transferFee / pool.quoteToken.transferFee or pool.transferFees[mint].
+// The pool receives dx - fee(dx); the trader receives dy - fee(dy).
+// -------------------------
+const U64_MAX = '18446744073709551615';
+
+function normalizeTransferFeeConfig(cfg) {
+    if (!cfg || typeof cfg !== 'object') return null;
+    const bps = Number(cfg.transferFeeBasisPoints ?? cfg.basisPoints ?? cfg.bps ?? 0);
+    if (!Number.isFinite(bps) || bps <= 0) return null;
+    return { transferFeeBasisPoints: Math.min(bps, 10000), maximumFee: D(String(cfg.maximumFee ?? cfg.maxFee ?? U64_MAX)) };
+}
+
+function getTransferFeeConfig(pool, side /* 'base' | 'quote' */) {
+    const token = side === 'base' ? pool.baseToken : pool.quoteToken;
+    const mint = side === 'base' ? (pool.baseMint ?? token?.mint) : (pool.quoteMint ?? token?.mint);
+    return normalizeTransferFeeConfig(token?.transferFee ?? (mint ? pool.transferFees?.[mint] : undefined));
+}
+
+// Token-2022 calculate_fee: ceil(amount * bps / 10000), capped at maximumFee
+function computeTransferFee(cfg, amountAtomic) {
+    const amount = D(amountAtomic).floor();
+    if (!cfg || amount.lte(0)) return D(0);
+    const fee = amount.mul(cfg.transferFeeBasisPoints).div(10000).ceil();
+    return Decimal.min(fee, cfg.maximumFee);
+}
+
+// Token-2022 calculate_inverse_epoch_fee: calculate_fee of the pre-fee amount, which is
+// post + maximumFee once the uncapped fee reaches the cap, else ceil(post * 10000 / (10000 - bps))
+function computeInverseTransferFee(cfg, postAmountAtomic) {
+    const post = D(postAmountAtomic).floor();
+    if (!cfg || post.lte(0)) return D(0);
+    let pre;
+    if (cfg.transferFeeBasisPoints >= 10000) {
+        pre = post.plus(cfg.maximumFee);
+    } else {
+        const raw = post.mul(10000).div(10000 - cfg.transferFeeBasisPoints).ceil();
+        pre = raw.minus(post).gte(cfg.maximumFee) ? post.plus(cfg.maximumFee) : raw;
+    }
+    return computeTransferFee(cfg, pre);
+}
+
+function transferFeeSides(pool, isReverse) {
+    return {
+        feeIn: getTransferFeeConfig(pool, isReverse ? 'quote' : 'base'),
+        feeOut: getTransferFeeConfig(pool, isReverse ? 'base' : 'quote')
+    };
+}
+
+function withPriceImpact(midPrice, dxHuman, dyHuman) {
+    const executionPrice = dxHuman.gt(0) ? dyHuman.div(dxHuman) : D(0);
+    const priceImpact = midPrice.gt(0) ? midPrice.minus(executionPrice).abs().div(midPrice) : D(0);
+    return { executionPrice, priceImpactPct: pct(priceImpact) };
+}
+
+// -------------------------
+// Public entry points (transfer fees wrapped around the pool math)
+// -------------------------
+async function processSwap({ pool = {}, dx = 0, opts = {} } = {}) {
+    if (!pool || typeof pool !== 'object') throw new Error('processSwap: pool missing');
+    const { feeIn, feeOut } = transferFeeSides(pool, !!opts.isReverse);
+    if (!feeIn && !feeOut) return processSwapCore({ pool, dx, opts });
+
+    const dxAtomic = D(dx).floor();
+    const transferFeeInAtomic = computeTransferFee(feeIn, dxAtomic);
+    const sim = await processSwapCore({ pool, dx: dxAtomic.minus(transferFeeInAtomic).toString(), opts });
+
+    const dyGrossAtomic = humanToAtomic(sim.dyHuman, sim.outDecimals);
+    const transferFeeOutAtomic = computeTransferFee(feeOut, dyGrossAtomic);
+    const dyHuman = atomicToHuman(dyGrossAtomic.minus(transferFeeOutAtomic), sim.outDecimals);
+
+    return {
+        ...sim,
+        dyHuman,
+        ...withPriceImpact(D(sim.midPrice), atomicToHuman(dxAtomic, sim.inDecimals), dyHuman),
+        meta: { ...sim.meta, transferFee: { inAtomic: transferFeeInAtomic.toString(), outAtomic: transferFeeOutAtomic.toString() } }
+    };
+}
+
+async function processSwapExactOut({ pool = {}, dy = 0, opts = {} } = {}) {
+    if (!pool || typeof pool !== 'object') throw new Error('processSwapExactOut: pool missing');
+    const { feeIn, feeOut } = transferFeeSides(pool, !!opts.isReverse);
+    if (!feeIn && !feeOut) return processSwapExactOutCore({ pool, dy, opts });
+
+    // The pool must send enough that dy survives the outbound fee, and the trader must
+    // send enough that the pool still receives the required input after the inbound fee.
+    const dyAtomic = D(dy).floor();
+    const transferFeeOutAtomic = computeInverseTransferFee(feeOut, dyAtomic);
+    const sim = await processSwapExactOutCore({ pool, dy: dyAtomic.plus(transferFeeOutAtomic).toString(), opts });
+
+    const transferFeeInAtomic = computeInverseTransferFee(feeIn, sim.dxAtomic);
+    const dxAtomic = D(sim.dxAtomic).plus(transferFeeInAtomic);
+    const dxHuman = atomicToHuman(dxAtomic, sim.inDecimals);
+    const dyHuman = atomicToHuman(dyAtomic, sim.outDecimals);
+
+    return {
+        ...sim,
+        dxAtomic,
+        dxHuman,
+        dyHuman,
+        ...withPriceImpact(D(sim.midPrice), dxHuman, dyHuman),
+        meta: { ...sim.meta, transferFee: { inAtomic: transferFeeInAtomic.toString(), outAtomic: transferFeeOutAtomic.toString() } }
+    };
+}
+
+// -------------------------
+// computeTotalCostTokenOut (analytical) for ranking
+//   opts.exactOut=true => amount is the exact token-out (atomic) to receive;
+//   the required input is solved first and costs are computed the same way.
+// -------------------------
+async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
+    const isReverse = !!opts.isReverse;
+    const exactOut = !!opts.exactOut;
+
+    const baseDecimals = pool.baseDecimals ?? pool.baseToken?.decimals ?? 0;
+    const quoteDecimals = pool.quoteDecimals ?? pool.quoteToken?.decimals ?? 0;
+    const inDecimals = isReverse ? quoteDecimals : baseDecimals;
+    const outDecimals = isReverse ? baseDecimals : quoteDecimals;
 
     const feeRate = D(opts.feeRate ?? pool.fee ?? pool.feePct ?? 0);
 
     // Try to use the same simulator as production swaps for consistency.
-    const sim = await processSwap({ pool, dx: dxAtomic.toString(), opts: { feeRate: feeRate.toNumber(), isReverse } });
+    // Only an explicit opts.feeRate is forwarded, so the pool's own fee model still applies otherwise.
+    const sim = exactOut
+        ? await processSwapExactOut({ pool, dy: D(amountInAtomic || 0).toString(), opts: { feeRate: opts.feeRate, isReverse } })
+        : await processSwap({ pool, dx: D(amountInAtomic || 0).toString(), opts: { feeRate: opts.feeRate, isReverse, exact: !!opts.exact } });
+
+    const dxAtomic = exactOut ? D(sim.dxAtomic) : D(amountInAtomic || 0);
+    const dxHuman = atomicToHuman(dxAtomic, inDecimals);
 
     const dyHuman = D(sim.dyHuman || 0);
     const midPrice = D(sim.midPrice || 0);
@@ -173,8 +1186,19 @@ async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
     // midOut and costs in TOKEN-OUT HUMAN units
     const midOut = dxHuman.mul(midPrice);
     const totalCost = Decimal.max(0, midOut.minus(dyHuman)); // includes fee+slippage effect vs mid
-    const feeCost = dxHuman.mul(feeRate).mul(midPrice);
-    const slippageCost = Decimal.max(0, totalCost.minus(feeCost));
+    // Use the fee the simulator actually charged (e.g. DLMM dynamic fee) when it reports one.
+    const feeRateUsed = sim.meta?.feeRate !== undefined ? D(sim.meta.feeRate) : feeRate;
+    const feeCost = dxHuman.mul(feeRateUsed).mul(midPrice);
+    // Raydium v4 reports the LP / protocol split of the swap fee
+    const v4Fees = sim.meta?.program === 'raydium_v4' ? getRaydiumV4Fees(pool) : null;
+    const feeSplit = v4Fees ? splitRaydiumV4Fee(v4Fees, feeCost) : null;
+
+    // Token-2022 transfer fees: inbound is in token-in (valued at mid), outbound already in token-out.
+    const tf = sim.meta?.transferFee;
+    const transferFeeCost = tf
+        ? atomicToHuman(tf.inAtomic, inDecimals).mul(midPrice).plus(atomicToHuman(tf.outAtomic, outDecimals))
+        : D(0);
+    const slippageCost = Decimal.max(0, totalCost.minus(feeCost).minus(transferFeeCost));
 
     const priceImpactPct = midOut.gt(0) ? slippageCost.div(midOut).mul(100) : D(0);
 
@@ -186,15 +1210,24 @@ async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
         totalCostTokenOutHuman: totalCost,
         totalCostTokenOutAtomic: totalCostAtomic,
         breakdown: {
+            mode: exactOut ? 'exactOut' : 'exactIn',
             inputAmountAtomic: dxAtomic.toString(),
             inputAmountHuman: dxHuman.toString(),
+            outputAmountAtomic: humanToAtomic(dyHuman, outDecimals).toString(),
             inDecimals,
             outDecimals,
             dyHuman: dyHuman.toString(),
             midPrice: midPrice.toString(),
             midOutHuman: midOut.toString(),
-            feeRate: feeRate.toString(),
+            feeRate: feeRateUsed.toString(),
             feeCostTokenOutHuman: feeCost.toString(),
+            ...(feeSplit ? {
+                lpFeeCostTokenOutHuman: feeSplit.lpFee.toString(),
+                protocolFeeCostTokenOutHuman: feeSplit.protocolFee.toString()
+            } : {}),
+            transferFeeInAtomic: tf ? tf.inAtomic : '0',
+            transferFeeOutAtomic: tf ? tf.outAtomic : '0',
+            transferFeeCostTokenOutHuman: transferFeeCost.toString(),
             slippageCostTokenOutHuman: slippageCost.toString(),
             totalCostTokenOutHuman: totalCost.toString(),
             feeCostTokenOutAtomic: feeCostAtomic.toString(),
@@ -205,11 +1238,116 @@ async function computeTotalCostTokenOut(pool, amountInAtomic, opts = {}) {
     };
 }
 
+// -------------------------
+// computeDepthLadder: output and cost per input size, plus the largest input whose
+// slippage-only price impact (breakdown.priceImpactPct) stays under opts.maxImpactPct.
+// Works for every pool type processSwap supports (it is built on computeTotalCostTokenOut).
+//   opts: { isReverse, sizesAtomic: [...], maxImpactPct, minSearchAtomic, maxSearchAtomic, feeRate, exact }
+// -------------------------
+function ladderRung(cost) {
+    const b = cost.breakdown;
+    const dxHuman = D(b.inputAmountHuman);
+    const dyHuman = D(b.dyHuman);
+    const midPrice = D(b.midPrice);
+    const executionPrice = dxHuman.gt(0) ? dyHuman.div(dxHuman) : D(0);
+    return {
+        ok: true,
+        inputAtomic: b.inputAmountAtomic,
+        inputHuman: b.inputAmountHuman,
+        outputAtomic: b.outputAmountAtomic,
+        outputHuman: b.dyHuman,
+        midPrice: b.midPrice,
+        executionPrice: executionPrice.toString(),
+        feeCostTokenOutHuman: b.feeCostTokenOutHuman,
+        slippageCostTokenOutHuman: b.slippageCostTokenOutHuman,
+        transferFeeCostTokenOutHuman: b.transferFeeCostTokenOutHuman,
+        totalCostTokenOutHuman: b.totalCostTokenOutHuman,
+        priceImpactPct: b.priceImpactPct,
+        // execution vs mid, fees included
+        executionImpactPct: midPrice.gt(0) ? pct(midPrice.minus(executionPrice).div(midPrice)).toString() : '0'
+    };
+}
+
+async function computeDepthLadder(pool, opts = {}) {
+    if (!pool || typeof pool !== 'object') throw new Error('computeDepthLadder: pool missing');
+    const costOpts = { isReverse: !!opts.isReverse, feeRate: opts.feeRate, exact: !!opts.exact };
+    if (costOpts.feeRate === undefined) delete costOpts.feeRate;
+
+    const rungAt = async (dxAtomic) => {
+        try {
+            return ladderRung(await computeTotalCostTokenOut(pool, D(dxAtomic).floor().toFixed(0), costOpts));
+        } catch (e) {
+            // e.g. liquidity exhausted
+            return { ok: false, inputAtomic: D(dxAtomic).floor().toFixed(0), error: e.message || String(e) };
+        }
+    };
+
+    const sizes = Array.isArray(opts.sizesAtomic) ? opts.sizesAtomic : [];
+    const rungs = [];
+    for (const size of sizes) rungs.push(await rungAt(size));
+
+    if (opts.maxImpactPct === undefined || opts.maxImpactPct === null) return { rungs, maxSizeUnderImpact: null };
+
+    const target = D(opts.maxImpactPct);
+    const cache = new Map();
+    const within = async (dx) => {
+        const k = dx.toFixed(0);
+        if (!cache.has(k)) cache.set(k, await rungAt(dx));
+        const r = cache.get(k);
+        return r.ok && D(r.priceImpactPct).lte(target) ? r : null;
+    };
+
+    const baseDecimals = pool.baseDecimals ?? pool.baseToken?.decimals ?? 0;
+    const quoteDecimals = pool.quoteDecimals ?? pool.quoteToken?.decimals ?? 0;
+    const cap = opts.maxSearchAtomic !== undefined ? D(opts.maxSearchAtomic).floor() : null;
+    let hi = D(opts.minSearchAtomic ?? pow10(opts.isReverse ? quoteDecimals : baseDecimals)).floor();
+    if (hi.lt(1)) hi = D(1);
+    if (cap && hi.gt(cap)) hi = cap;
+
+    // grow geometrically until the impact limit (or liquidity) is exceeded, then bisect
+    let lo = D(0);
+    let best = null;
+    for (let i = 0; i < 96; i++) {
+        const r = await within(hi);
+        if (!r) break;
+        lo = hi;
+        best = r;
+        if (cap && hi.gte(cap)) break;
+        hi = cap ? Decimal.min(cap, hi.mul(2)) : hi.mul(2);
+    }
+    if (best && lo.eq(hi)) return { rungs, maxSizeUnderImpact: { maxImpactPct: target.toString(), capped: true, ...best } };
+
+    for (let i = 0; i < 128 && hi.minus(lo).gt(1); i++) {
+        const mid = lo.plus(hi).div(2).floor();
+        const r = await within(mid);
+        if (r) { lo = mid; best = r; } else hi = mid;
+    }
+
+    return {
+        rungs,
+        maxSizeUnderImpact: best
+            ? { maxImpactPct: target.toString(), capped: false, ...best }
+            : { maxImpactPct: target.toString(), capped: false, ok: true, inputAtomic: '0' }
+    };
+}
+
 module.exports = {
     Decimal,
     D,
     atomicToHuman,
     humanToAtomic,
+    tickToSqrtPrice,
+    hasClmmState,
+    binIdToPrice,
+    hasDlmmBins,
+    RAYDIUM_STABLE_PROGRAM,
+    getStableAmp,
+    getRaydiumV4Fees,
     processSwap,
-    computeTotalCostTokenOut
+    processSwapExactOut,
+    getTransferFeeConfig,
+    computeTransferFee,
+    computeInverseTransferFee,
+    computeTotalCostTokenOut,
+    computeDepthLadder
 };
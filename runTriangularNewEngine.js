@@ -30,6 +30,8 @@ async function main() {
 
     console.log(`✅ Pools loaded: ${stats.total}`);
     console.log(`✅ Math-ready pools: ${stats.ready} (vault=${stats.vault}, cache=${stats.cache})`);
+    const f = stats.freshness;
+    console.log(`🕒 Reserve age: <1m=${f.under1m} <1h=${f.under1h} <1d=${f.under1d} >=1d=${f.over1d} unknown=${f.unknown} (stale=${stats.stale})`);
     console.log('🔍 Running triangular arbitrage detection...');
 
     const routes = await findTriangularArbitrage({
@@ -41,11 +43,14 @@ async function main() {
         thresholdPct: 0.1,
         maxRoutes: 200,
         sdkFallback: true,
+        optimizeSize: true,
+        curveSizesAtomic: ['100000000', '500000000', '1000000000', '5000000000', '10000000000'], // 0.1 .. 10 SOL
+        midPricePrefilter: true, // only routes that can reach thresholdPct are simulated
         logRoutes: false,
         logLegs: false
     });
 
-    console.log(`\n🎯 Found ${routes.length} triangular routes`);
+    console.log(`\n🎯 Found ${routes.length} triangular routes (evaluated=${routes.stats.evaluated}, prefiltered=${routes.stats.prefiltered}, skipped=${routes.stats.skipped})`);
     console.log('📊 Top 5 routes:');
     for (let i = 0; i < Math.min(5, routes.length); i++) {
         const r = routes[i];
@@ -54,6 +59,15 @@ async function main() {
         console.log(`\n${i + 1}. netAfterCostsPct=${Number(r.netAfterCostsPct).toFixed(6)}%  passes=${r.passes}`);
         console.log(`   Pools: ${p}`);
         console.log(`   DEXes: ${dex}`);
+        console.log(`   Profit: ${r.profitAtomic} atomic = ${r.profitHuman} SOL`);
+        if (r.optimalInputAtomic !== undefined) {
+            console.log(`   Optimal input: ${r.optimalInputAtomic} (profit ${r.optimalProfitAtomic} atomic, ${r.sizeOptimizer})`);
+        }
+        if (r.profitCurve) {
+            const band = r.profitableBand;
+            console.log(`   Profit curve: ${r.profitCurve.map(pt => `${pt.inputAtomic}:${pt.ok === false ? 'n/a' : Number(pt.netAfterCostsPct).toFixed(3) + '%'}`).join('  ')}`);
+            console.log(`   Passing band: ${band ? `${band.minInputAtomic} .. ${band.maxInputAtomic}` : 'none'}`);
+        }
     }
 }
 
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const {
+    cpmmSwapExactIn, sqrtPriceX64AtTick, clmmSwapExactIn, dlmmPriceX64FromId, dlmmSwapExactIn
+} = require('../../exactSwapMath.js');
+const { processSwap } = require('../../processorNewEngine.js');
+
+describe('exactSwapMath constant product', () => {
+    it('matches Raydium AMM v4 swap_base_in', () => {
+        // fee = ceil(1_000_000 * 25 / 10_000) = 2500; out = floor(2e9 * 997500 / (1e9 + 997500))
+        const r = cpmmSwapExactIn({
+            reserveIn: 1000000000n, reserveOut: 2000000000n, amountIn: 1000000n,
+            feeNumerator: 25n, feeDenominator: 10000n, program: 'raydium_v4'
+        });
+        assert.strictEqual(r.fee, 2500n);
+        assert.strictEqual(r.amountOut, 1993011n);
+    });
+
+    it('rounds a sub-unit v4 fee to nearest, CP-Swap rounds it up', () => {
+        // 150 * 25 / 10000 = 0.375 -> v4 charges 0, CP-Swap charges ceil(150 * 2500 / 1e6) = 1
+        const base = { reserveIn: 1000000n, reserveOut: 1000000000n, amountIn: 150n };
+        const v4 = cpmmSwapExactIn({ ...base, feeNumerator: 25n, feeDenominator: 10000n, program: 'raydium_v4' });
+        const cp = cpmmSwapExactIn({ ...base, feeNumerator: 2500n, feeDenominator: 1000000n, program: 'raydium_cpmm' });
+        assert.strictEqual(v4.fee, 0n);
+        assert.strictEqual(v4.amountOut, 149977n); // floor(1e9 * 150 / 1000150)
+        assert.strictEqual(cp.fee, 1n);
+        assert.strictEqual(cp.amountOut, 148977n); // floor(1e9 * 149 / 1000149)
+    });
+});
+
+describe('exactSwapMath CLMM', () => {
+    it('reproduces the Whirlpool tick math bounds', () => {
+        assert.strictEqual(sqrtPriceX64AtTick(0), 1n << 64n);
+        assert.strictEqual(sqrtPriceX64AtTick(-1), 18445821805675392311n);
+        assert.strictEqual(sqrtPriceX64AtTick(443636), 79226673515401279992447579055n); // MAX_SQRT_PRICE_X64
+        assert.strictEqual(sqrtPriceX64AtTick(-443636), 4295048016n); // MIN_SQRT_PRICE_X64
+    });
+
+    it('computes a single swap step with round-up input and round-down output', () => {
+        // L = 1e12 at sqrtPrice 2^64, 0.3% fee (3000 / 1e6), 1e6 token A in:
+        //   amountLessFee = 997000, next = ceil(L*p<<64 / (L<<64 + p*997000)) = 18446725682324046339
+        //   out = (L * (p - next)) >> 64 = 996999, fee = 1e6 - 997000
+        const r = clmmSwapExactIn({
+            sqrtPriceX64: 1n << 64n,
+            segments: [{ tickLower: -1000, tickUpper: 1000, liquidity: '1000000000000' }],
+            amountIn: 1000000n,
+            feeRate: 3000n,
+            aToB: true
+        });
+        assert.strictEqual(r.sqrtPriceX64, 18446725682324046339n);
+        assert.strictEqual(r.amountOut, 996999n);
+        assert.strictEqual(r.fee, 3000n);
+        assert.strictEqual(r.ticksCrossed, 0);
+    });
+});
+
+describe('exactSwapMath DLMM', () => {
+    it('prices bin 0 at exactly 1.0 in Q64.64', () => {
+        assert.strictEqual(dlmmPriceX64FromId(0, 100), 1n << 64n);
+        // 1.01 in Q64.64 is floor(2^64 * 101 / 100) up to u128 inversion rounding
+        const p1 = dlmmPriceX64FromId(1, 100);
+        assert.ok(p1 - ((1n << 64n) * 101n / 100n) <= 1n);
+    });
+
+    it('charges the fee inside a partial bin and on top of a drained bin', () => {
+        const bins = [
+            { binId: -1, xAmount: '0', yAmount: '1000' },
+            { binId: 0, xAmount: '0', yAmount: '1000' }
+        ];
+        const feeRateAt = () => 10000000n; // 1%
+
+        // partial: fee = ceil(100 * 1e7 / 1e9) = 1, out = 99 at price 1
+        const partial = dlmmSwapExactIn({ bins, activeBinId: 0, binStep: 100, amountIn: 100n, feeRateAt, swapForY: true });
+        assert.strictEqual(partial.amountOut, 99n);
+        assert.strictEqual(partial.fee, 1n);
+
+        // drain bin 0: maxIn = 1000, fee = ceil(1000 * 1e7 / (1e9 - 1e7)) = 11 -> 1011 consumed
+        const drain = dlmmSwapExactIn({ bins, activeBinId: 0, binStep: 100, amountIn: 1011n, feeRateAt, swapForY: true });
+        assert.strictEqual(drain.amountOut, 1000n);
+        assert.strictEqual(drain.fee, 11n);
+        assert.strictEqual(drain.binsCrossed, 1);
+    });
+});
+
+describe('processSwap exact mode', () => {
+    it('returns the program dy for a Raydium v4 pool where Decimal math drifts', async () => {
+        const pool = {
+            type: 'cpmm', dex: 'raydium', fee: 0.0025, baseDecimals: 0, quoteDecimals: 0,
+            swapFeeNumerator: 25, swapFeeDenominator: 10000,
+            xReserve: '1000000', yReserve: '1000000000'
+        };
+        const exact = await processSwap({ pool, dx: '150', opts: { exact: true } });
+        const approx = await processSwap({ pool, dx: '150' });
+
+        assert.strictEqual(exact.meta.exact, true);
+        assert.strictEqual(exact.meta.dyAtomic, '149977');
+        assert.strictEqual(exact.dyHuman.toString(), '149977');
+        assert.notStrictEqual(approx.dyHuman.floor().toString(), '149977');
+    });
+
+    it('treats a raydium pool without a program id or v4 fee fields as plain constant product', async () => {
+        const pool = {
+            type: 'cpmm', dex: 'raydium', fee: 0.0025, baseDecimals: 0, quoteDecimals: 0,
+            xReserve: '1000000', yReserve: '1000000000'
+        };
+        const { meta } = await processSwap({ pool, dx: '150', opts: { exact: true } });
+        assert.strictEqual(meta.program, 'constant_product');
+    });
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const assert = require('assert');
+const { createExecutionCostModel } = require('../../executionCostModel.js');
+
+describe('createExecutionCostModel', () => {
+    it('sums base fee, CU priority fee, tip and ATA rent in lamports', () => {
+        const model = createExecutionCostModel({
+            priorityMicroLamportsPerCu: 10000, jitoTipLamports: 100000, newAtas: 1
+        });
+        const cost = model.estimate([
+            { dex: 'raydium', type: 'cpmm' },
+            { dex: 'orca', type: 'whirlpool' },
+            { dex: 'meteora', type: 'dlmm' }
+        ]);
+        // 20000 overhead + 45000 + 90000 + 80000 CU at 0.01 lamports/CU
+        assert.strictEqual(cost.computeUnits, 235000);
+        assert.strictEqual(cost.priorityFeeLamports, '2350');
+        assert.strictEqual(cost.totalLamports, String(5000 + 2350 + 100000 + 2039280));
+    });
+
+    it('uses overrides by dex:type, then type, then the default leg estimate', () => {
+        const model = createExecutionCostModel({
+            computeUnits: { 'orca:whirlpool': 70000, stable: 50000 },
+            defaultLegComputeUnits: 1000,
+            overheadComputeUnits: 0
+        });
+        const cost = model.estimate([{ dex: 'orca', type: 'whirlpool' }, { type: 'stable' }, { type: 'unknown' }]);
+        assert.strictEqual(cost.computeUnits, 121000);
+        assert.strictEqual(cost.totalLamports, '5000');
+    });
+});
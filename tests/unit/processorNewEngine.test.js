@@ -1,7 +1,9 @@
 'use strict';
 
 const assert = require('assert');
-const { processSwap } = require('../../processorNewEngine.js');
+const {
+    D, processSwap, processSwapExactOut, computeTransferFee, computeInverseTransferFee, computeTotalCostTokenOut, computeDepthLadder
+} = require('../../processorNewEngine.js');
 
 describe('processSwap CPMM math', () => {
     it('computes dy with fee and price impact for base->quote', async () => {
@@ -51,3 +53,389 @@ describe('processSwap CPMM math', () => {
         assert.ok(Math.abs(toNum(midPrice) - expectedMidPrice) < tolPrice, 'midPrice should be y/x');
     });
 });
+
+describe('processSwap Raydium AMM v4 fees', () => {
+    const pool = () => ({
+        type: 'cpmm', dex: 'raydium', fee: 0.003, // rounded pool.fee from the API
+        baseDecimals: 6, quoteDecimals: 6, xReserve: '1000000000', yReserve: '2000000000',
+        fees: { swapFeeNumerator: 25, swapFeeDenominator: 10000, pnlNumerator: 12, pnlDenominator: 100 }
+    });
+
+    it('uses the account numerator/denominator and splits LP vs protocol fee', async () => {
+        const { dyHuman, feePaidHuman, meta } = await processSwap({ pool: pool(), dx: '1000000' });
+
+        const expectedDy = 2000 - (1000 * 2000) / (1000 + 1 * (1 - 0.0025));
+        assert.ok(Math.abs(Number(dyHuman) - expectedDy) < 1e-9, 'fee should be 25/10000, not pool.fee');
+        assert.strictEqual(meta.feeRate, '0.0025');
+        assert.ok(Math.abs(Number(feePaidHuman) - 0.0025) < 1e-12);
+        assert.ok(Math.abs(Number(meta.protocolFeeHuman) - 0.0025 * 0.12) < 1e-12);
+        assert.ok(Math.abs(Number(meta.lpFeeHuman) - 0.0025 * 0.88) < 1e-12);
+    });
+
+    it('lets an explicit opts.feeRate win over the account fees', async () => {
+        const { dyHuman, meta } = await processSwap({ pool: pool(), dx: '1000000', opts: { feeRate: 0.003 } });
+
+        const expectedDy = 2000 - (1000 * 2000) / (1000 + 1 * (1 - 0.003));
+        assert.ok(Math.abs(Number(dyHuman) - expectedDy) < 1e-9, 'fee should be opts.feeRate');
+        assert.strictEqual(meta.program, undefined);
+
+        const exactOut = await processSwapExactOut({ pool: pool(), dy: '1000000', opts: { feeRate: 0.003 } });
+        const v4ExactOut = await processSwapExactOut({ pool: pool(), dy: '1000000' });
+        assert.ok(exactOut.dxAtomic.gt(v4ExactOut.dxAtomic));
+    });
+
+    it('reports the split in the cost breakdown', async () => {
+        const { breakdown } = await computeTotalCostTokenOut(pool(), '1000000');
+        const lp = Number(breakdown.lpFeeCostTokenOutHuman);
+        const protocol = Number(breakdown.protocolFeeCostTokenOutHuman);
+        assert.strictEqual(breakdown.feeRate, '0.0025');
+        assert.ok(Math.abs(lp + protocol - Number(breakdown.feeCostTokenOutHuman)) < 1e-12);
+        assert.ok(Math.abs(protocol / (lp + protocol) - 0.12) < 1e-12);
+    });
+});
+
+describe('processSwap CLMM tick walking', () => {
+    const toNum = (x) => Number(x);
+
+    it('matches CPMM on virtual reserves inside a single range', async () => {
+        const L = 1e9;
+        const pool = {
+            type: 'clmm',
+            fee: 0.0025,
+            baseDecimals: 6,
+            quoteDecimals: 6,
+            sqrtPriceCurrent: '1',
+            tickCurrent: 0,
+            segments: [{ tickLower: -10000, tickUpper: 10000, liquidity: String(L) }]
+        };
+        const dx = 1e6;
+
+        const { dyHuman, midPrice, meta } = await processSwap({ pool, dx: String(dx), opts: { isReverse: false } });
+
+        // Within one range, x_v = L / sqrtP and y_v = L * sqrtP behave like x*y=k
+        const dxAfterFee = dx * (1 - pool.fee);
+        const expectedDy = (L - (L * L) / (L + dxAfterFee)) / 1e6;
+
+        assert.ok(Math.abs(toNum(dyHuman) - expectedDy) < 1e-9, 'dyHuman should match virtual-reserve CPMM');
+        assert.ok(Math.abs(toNum(midPrice) - 1) < 1e-12, 'midPrice should be sqrtPrice^2');
+        assert.strictEqual(meta.isApprox, false);
+        assert.strictEqual(meta.ticksCrossed, 0);
+    });
+
+    it('crosses a tick boundary and switches liquidity', async () => {
+        const L1 = 1e6;
+        const L2 = 5e8;
+        const fee = 0.003;
+        const s0 = Math.pow(1.0001, 25); // tick 50
+        const pool = {
+            type: 'whirlpool',
+            fee,
+            baseDecimals: 0,
+            quoteDecimals: 0,
+            tickCurrent: 50,
+            segments: [
+                { tickLower: 0, tickUpper: 100, liquidity: String(L1) },
+                { tickLower: -100, tickUpper: 0, liquidity: String(L2) }
+            ]
+        };
+        const dx = 100000;
+
+        const { dyHuman, meta } = await processSwap({ pool, dx: String(dx), opts: { isReverse: false } });
+
+        // Segment 1 (tick 50 -> 0) is drained, the rest is swapped in segment 2 at sqrtP = 1
+        const in1 = L1 * (s0 - 1) / s0;
+        const out1 = L1 * (s0 - 1);
+        const net2 = dx * (1 - fee) - in1;
+        const sNew = L2 / (L2 + net2);
+        const out2 = L2 * (1 - sNew);
+
+        assert.ok(Math.abs(toNum(dyHuman) - (out1 + out2)) < 1e-6, 'dyHuman should sum both ranges');
+        assert.strictEqual(meta.ticksCrossed, 1);
+    });
+
+    it('throws when the swap exhausts all initialized liquidity', async () => {
+        const pool = {
+            type: 'clmm',
+            fee: 0,
+            baseDecimals: 0,
+            quoteDecimals: 0,
+            tickCurrent: 0,
+            segments: [{ tickLower: -10, tickUpper: 10, liquidity: '1000' }]
+        };
+        await assert.rejects(
+            processSwap({ pool, dx: '1000000', opts: { isReverse: true } }),
+            /liquidity exhausted/
+        );
+    });
+});
+
+describe('processSwap DLMM bins', () => {
+    const toNum = (x) => Number(x);
+
+    const basePool = () => ({
+        type: 'dlmm',
+        fee: 0.01,
+        baseDecimals: 0,
+        quoteDecimals: 0,
+        xReserve: '1000',
+        yReserve: '1500',
+        dlmm: {
+            binStep: 100,
+            activeBinId: 0,
+            bins: [
+                { binId: -1, xAmount: '0', yAmount: '1000' },
+                { binId: 0, xAmount: '1000', yAmount: '500' },
+                { binId: 1, xAmount: '2000', yAmount: '0' }
+            ]
+        }
+    });
+
+    it('walks down across bins for X -> Y using the bin-step price', async () => {
+        const { dyHuman, midPrice, meta } = await processSwap({ pool: basePool(), dx: '700', opts: { isReverse: false } });
+
+        // bin 0 (price 1) is drained: 500 in (net) -> 500 out; the rest fills bin -1 at price 1/1.01
+        const fee = 0.01;
+        const gross0 = 500 / (1 - fee);
+        const net1 = (700 - gross0) * (1 - fee);
+        const expected = 500 + net1 / 1.01;
+
+        assert.ok(Math.abs(toNum(dyHuman) - expected) < 1e-9, 'dyHuman should follow bin prices');
+        assert.ok(Math.abs(toNum(midPrice) - 1) < 1e-12, 'midPrice should be the active bin price');
+        assert.strictEqual(meta.isApprox, false);
+        assert.strictEqual(meta.binsCrossed, 1);
+        assert.strictEqual(meta.endBinId, -1);
+    });
+
+    it('walks up for Y -> X', async () => {
+        const { dyHuman } = await processSwap({ pool: basePool(), dx: '100', opts: { isReverse: true } });
+        assert.ok(Math.abs(toNum(dyHuman) - 99) < 1e-9, 'active bin fills at price 1 after fee');
+    });
+
+    it('falls back to CPMM and flags approximation without bin data', async () => {
+        const pool = basePool();
+        delete pool.dlmm;
+        const { meta } = await processSwap({ pool, dx: '10', opts: { isReverse: false } });
+        assert.strictEqual(meta.type, 'dlmm');
+        assert.strictEqual(meta.isApprox, true);
+    });
+
+    it('charges base + volatility fee per bin when lb pair parameters are present', async () => {
+        const pool = basePool();
+        pool.fee = 0.003; // static fee must be ignored
+        // base = 10000 * 100 * 10 / 1e9 = 1%; one bin away: ceil(500000 * (10000 * 100)^2 / 1e11) / 1e9 = 0.5%
+        pool.dlmm.parameters = { baseFactor: 10000, variableFeeControl: 500000, maxVolatilityAccumulator: 350000 };
+        pool.dlmm.vParameters = { volatilityAccumulator: 0, volatilityReference: 0, indexReference: 0 };
+
+        const { dyHuman, meta } = await processSwap({ pool, dx: '700', opts: { isReverse: false } });
+
+        const gross0 = 500 / (1 - 0.01);
+        const net1 = (700 - gross0) * (1 - 0.015);
+        const expected = 500 + net1 / 1.01;
+
+        assert.ok(Math.abs(toNum(dyHuman) - expected) < 1e-9, 'bin -1 should pay the variable fee');
+        assert.strictEqual(meta.feeModel, 'dynamic');
+        assert.strictEqual(toNum(meta.baseFeeRate), 0.01);
+        assert.ok(toNum(meta.feeRate) > 0.01 && toNum(meta.feeRate) < 0.015, 'meta.feeRate is the blended rate');
+    });
+});
+
+describe('processSwapExactOut', () => {
+    const fixtures = {
+        cpmm: { type: 'cpmm', fee: 0.003, baseDecimals: 6, quoteDecimals: 6, xReserve: '1000000000', yReserve: '2000000000' },
+        dlmm: {
+            type: 'dlmm', fee: 0.01, baseDecimals: 0, quoteDecimals: 0, xReserve: '1000', yReserve: '1500',
+            dlmm: {
+                binStep: 100, activeBinId: 0,
+                bins: [{ binId: -1, xAmount: '0', yAmount: '1000' }, { binId: 0, xAmount: '1000', yAmount: '500' }]
+            }
+        },
+        clmm: {
+            type: 'clmm', fee: 0.003, baseDecimals: 0, quoteDecimals: 0, tickCurrent: 50,
+            segments: [{ tickLower: 0, tickUpper: 100, liquidity: '1000000' }, { tickLower: -100, tickUpper: 0, liquidity: '500000000' }]
+        }
+    };
+    const targets = { cpmm: '1500000', dlmm: '800', clmm: '60000' };
+
+    for (const [type, pool] of Object.entries(fixtures)) {
+        it(`returns the smallest atomic dx that yields dy for ${type}`, async () => {
+            const dy = targets[type];
+            const r = await processSwapExactOut({ pool, dy, opts: { isReverse: false } });
+            assert.ok(r.dxAtomic.isInteger(), 'dxAtomic should be an integer');
+
+            const enough = await processSwap({ pool, dx: r.dxAtomic.toString(), opts: { isReverse: false } });
+            const short = await processSwap({ pool, dx: r.dxAtomic.minus(1).toString(), opts: { isReverse: false } });
+            const dyHuman = Number(dy) / Math.pow(10, r.outDecimals);
+
+            assert.ok(Number(enough.dyHuman) >= dyHuman - 1e-9, 'dxAtomic should be enough');
+            assert.ok(Number(short.dyHuman) < dyHuman, 'dxAtomic - 1 should fall short');
+            assert.ok(Number(r.feePaidHuman) > 0, 'fee should be reported');
+            assert.strictEqual(r.meta.type, type);
+        });
+    }
+
+    it('computeTotalCostTokenOut accepts exactOut mode', async () => {
+        const pool = fixtures.cpmm;
+        const cost = await computeTotalCostTokenOut(pool, '1500000', { exactOut: true });
+        const r = await processSwapExactOut({ pool, dy: '1500000' });
+        assert.strictEqual(cost.breakdown.mode, 'exactOut');
+        assert.strictEqual(cost.breakdown.inputAmountAtomic, r.dxAtomic.toString());
+        assert.strictEqual(cost.breakdown.outputAmountAtomic, '1500000');
+    });
+});
+
+describe('processSwap stable-swap invariant', () => {
+    const toNum = (x) => Number(x);
+    const stablePool = (amp) => ({
+        type: 'stable',
+        amp,
+        fee: 0.0004,
+        baseDecimals: 6,
+        quoteDecimals: 6,
+        xReserve: '1000000000000', // 1,000,000 USDC
+        yReserve: '1000000000000'  // 1,000,000 USDT
+    });
+
+    it('quotes near 1:1 with far less slippage than CPMM on a balanced pool', async () => {
+        const dx = '100000000000'; // 100,000 (10% of the pool)
+        const stable = await processSwap({ pool: stablePool(100), dx, opts: { isReverse: false } });
+        const cpmm = await processSwap({ pool: { ...stablePool(100), type: 'cpmm' }, dx, opts: { isReverse: false } });
+
+        assert.ok(Math.abs(toNum(stable.midPrice) - 1) < 1e-12, 'balanced pool should be priced at peg');
+        assert.ok(toNum(stable.dyHuman) > 99900 && toNum(stable.dyHuman) < 100000, 'stable output close to dx after fee');
+        assert.ok(toNum(stable.priceImpactPct) < toNum(cpmm.priceImpactPct) / 10, 'stable impact much lower than CPMM');
+        assert.strictEqual(stable.meta.type, 'stable');
+        assert.strictEqual(stable.meta.isApprox, false);
+    });
+
+    it('keeps the invariant D constant across the swap', async () => {
+        const pool = stablePool(50);
+        const dx = '250000000000';
+        const { dyHuman } = await processSwap({ pool, dx, opts: { isReverse: true } });
+
+        const A = 50, n = 2, Ann = A * n * n;
+        const invariant = (x, y, d) => Ann * (x + y) + d - Ann * d - (d * d * d) / (4 * x * y);
+        // D for the balanced pool is 2,000,000
+        const x1 = 1e6 - toNum(dyHuman);
+        const y1 = 1e6 + 250000 * (1 - pool.fee);
+        assert.ok(Math.abs(invariant(x1, y1, 2e6)) < 1e-3, 'post-swap balances should stay on the curve');
+    });
+
+    it('falls back to CPMM and flags approximation without an amp coefficient', async () => {
+        const pool = stablePool(undefined);
+        const { meta } = await processSwap({ pool, dx: '1000000', opts: { isReverse: false } });
+        assert.strictEqual(meta.type, 'stable');
+        assert.strictEqual(meta.isApprox, true);
+    });
+
+    it('reads the amp coefficient from every field the pool normalizers write', async () => {
+        const { amp, ...bare } = stablePool(100);
+        const ref = await processSwap({ pool: stablePool(100), dx: '1000000000', opts: { isReverse: false } });
+        for (const pool of [
+            { ...bare, raw: { amplification: amp } },
+            { ...bare, _original: { raw: { amplificationCoefficient: String(amp) } } }
+        ]) {
+            const r = await processSwap({ pool, dx: '1000000000', opts: { isReverse: false } });
+            assert.strictEqual(r.meta.isApprox, false);
+            assert.strictEqual(r.dyHuman.toString(), ref.dyHuman.toString());
+        }
+    });
+
+    it('solves exact-out on the same curve', async () => {
+        const pool = stablePool(100);
+        const r = await processSwapExactOut({ pool, dy: '50000000000', opts: { isReverse: false } });
+        const back = await processSwap({ pool, dx: r.dxAtomic.toString(), opts: { isReverse: false } });
+        assert.ok(toNum(back.dyHuman) >= 50000 - 1e-6, 'dxAtomic should buy at least dy');
+        assert.strictEqual(r.meta.type, 'stable');
+    });
+});
+
+describe('Token-2022 transfer fees', () => {
+    const pool = () => ({
+        type: 'cpmm',
+        fee: 0.003,
+        baseDecimals: 0,
+        quoteDecimals: 0,
+        baseMint: 'BASE',
+        quoteMint: 'QUOTE',
+        baseToken: { mint: 'BASE', transferFee: { transferFeeBasisPoints: 100, maximumFee: '1000000' } },
+        quoteToken: { mint: 'QUOTE' },
+        transferFees: { QUOTE: { transferFeeBasisPoints: 50, maximumFee: '3' } },
+        xReserve: '1000000',
+        yReserve: '1000000'
+    });
+
+    it('deducts the inbound fee before the swap and the capped outbound fee after it', async () => {
+        const dx = 10000;
+        const { dyHuman, meta } = await processSwap({ pool: pool(), dx: String(dx), opts: { isReverse: false } });
+
+        const feeIn = Math.ceil(dx * 100 / 10000); // 100
+        const net = (dx - feeIn) * (1 - 0.003);
+        const dyGross = Math.floor(1e6 - 1e12 / (1e6 + net));
+        const feeOut = Math.min(Math.ceil(dyGross * 50 / 10000), 3);
+
+        assert.strictEqual(meta.transferFee.inAtomic, String(feeIn));
+        assert.strictEqual(meta.transferFee.outAtomic, String(feeOut));
+        assert.strictEqual(Number(dyHuman), dyGross - feeOut);
+    });
+
+    it('exact-out grosses up both transfer fees', async () => {
+        const r = await processSwapExactOut({ pool: pool(), dy: '5000', opts: { isReverse: false } });
+        const back = await processSwap({ pool: pool(), dx: r.dxAtomic.toString(), opts: { isReverse: false } });
+        assert.ok(Number(back.dyHuman) >= 5000, 'dxAtomic should deliver dy net of transfer fees');
+        assert.strictEqual(r.meta.transferFee.outAtomic, '3');
+    });
+
+    it('inverts the fee exactly at the maximumFee boundary', () => {
+        const cfg = { transferFeeBasisPoints: 100, maximumFee: D(5) };
+        // ceil(396 * 10000 / 9900) = 400: uncapped fee 4
+        assert.strictEqual(computeInverseTransferFee(cfg, '396').toString(), '4');
+        // ceil(400 * 10000 / 9900) = 405: the uncapped fee reaches the cap, pre = 400 + 5
+        assert.strictEqual(computeInverseTransferFee(cfg, '400').toString(), '5');
+        assert.strictEqual(computeTransferFee(cfg, D(405)).toString(), '5');
+        // far above the cap the fee stays at maximumFee
+        assert.strictEqual(computeInverseTransferFee(cfg, '1000000').toString(), '5');
+        // 100% bps: the pre-fee amount is post + maximumFee
+        assert.strictEqual(computeInverseTransferFee({ transferFeeBasisPoints: 10000, maximumFee: D(7) }, '10').toString(), '7');
+    });
+
+    it('reports transfer fees separately in the cost breakdown', async () => {
+        const cost = await computeTotalCostTokenOut(pool(), '10000', { isReverse: false });
+        assert.strictEqual(cost.breakdown.transferFeeInAtomic, '100');
+        assert.ok(Number(cost.breakdown.transferFeeCostTokenOutHuman) > 100);
+    });
+});
+
+describe('computeDepthLadder', () => {
+    const cpmm = { type: 'cpmm', fee: 0.003, baseDecimals: 6, quoteDecimals: 6, xReserve: '1000000000', yReserve: '2000000000' };
+
+    it('reports output and costs per rung with impact growing with size', async () => {
+        const { rungs } = await computeDepthLadder(cpmm, { sizesAtomic: ['1000000', '10000000', '100000000'] });
+        assert.strictEqual(rungs.length, 3);
+        assert.ok(rungs.every(r => r.ok));
+        assert.ok(Number(rungs[0].priceImpactPct) < Number(rungs[1].priceImpactPct));
+        assert.ok(Number(rungs[1].priceImpactPct) < Number(rungs[2].priceImpactPct));
+        assert.ok(Number(rungs[2].executionPrice) < Number(rungs[0].executionPrice));
+        assert.ok(Number(rungs[0].feeCostTokenOutHuman) > 0);
+    });
+
+    it('finds the largest size that stays under the impact limit', async () => {
+        const { maxSizeUnderImpact } = await computeDepthLadder(cpmm, { maxImpactPct: 1 });
+        const x = Number(maxSizeUnderImpact.inputAtomic);
+        const at = async (dx) => Number((await computeTotalCostTokenOut(cpmm, String(dx))).breakdown.priceImpactPct);
+
+        assert.ok(Number(maxSizeUnderImpact.priceImpactPct) <= 1);
+        assert.ok(await at(x) <= 1);
+        assert.ok(await at(x + 1) > 1);
+    });
+
+    it('marks rungs that exhaust DLMM liquidity', async () => {
+        const dlmm = {
+            type: 'dlmm', fee: 0.01, baseDecimals: 0, quoteDecimals: 0,
+            dlmm: { binStep: 100, activeBinId: 0, bins: [{ binId: 0, xAmount: '0', yAmount: '500' }] }
+        };
+        const { rungs, maxSizeUnderImpact } = await computeDepthLadder(dlmm, { sizesAtomic: ['100', '10000'], maxImpactPct: 5 });
+        assert.strictEqual(rungs[0].ok, true);
+        assert.strictEqual(rungs[1].ok, false);
+        assert.ok(Number(maxSizeUnderImpact.inputAtomic) > 0 && Number(maxSizeUnderImpact.inputAtomic) <= 506);
+    });
+});
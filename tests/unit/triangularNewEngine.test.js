@@ -0,0 +1,528 @@
+'use strict';
+
+const assert = require('assert');
+const { simulateRoute, optimizeRouteInput } = require('../../triangularNewEngine.js');
+const { D } = require('../../processorNewEngine.js');
+
+function cpmmPool(address, baseMint, quoteMint, xReserve, yReserve, extra = {}) {
+    return {
+        poolAddress: address, type: 'cpmm', fee: 0.003,
+        baseMint, quoteMint, baseDecimals: 6, quoteDecimals: 6,
+        xReserve, yReserve, ...extra
+    };
+}
+
+describe('optimizeRouteInput', () => {
+    // A -> B (x2) -> C (x1.05) -> A (x0.5): ~5% gross edge before fees and impact
+    const mints = ['A', 'B', 'C', 'A'];
+    const pools = () => [
+        cpmmPool('p1', 'A', 'B', '1000000000000', '2000000000000'),
+        cpmmPool('p2', 'B', 'C', '2000000000000', '2100000000000'),
+        cpmmPool('p3', 'C', 'A', '2000000000000', '1000000000000')
+    ];
+    const profitAt = async (route, dx) => {
+        const r = await simulateRoute({ pools: route, mints, dxAtomic: dx });
+        return Number(r.outputAtomic) - dx;
+    };
+
+    it('solves an all-CPMM cycle in closed form at the profit maximum', async () => {
+        const opt = await optimizeRouteInput({ pools: pools(), mints, maxInputAtomic: '1000000000000' });
+        assert.strictEqual(opt.method, 'closed_form');
+
+        const x = Number(opt.optimalInputAtomic);
+        const best = Number(opt.profitAtomic);
+        assert.ok(best > 0);
+        assert.strictEqual(best, await profitAt(pools(), x));
+        assert.ok(best >= await profitAt(pools(), Math.floor(x * 0.99)));
+        assert.ok(best >= await profitAt(pools(), Math.floor(x * 1.01)));
+    });
+
+    it('prices Raydium v4 legs at the account fee, not pool.fee', async () => {
+        // pool.fee 1% would hide most of the edge; the program charges 25/10000
+        const route = () => pools().map(p => ({ ...p, dex: 'raydium', fee: 0.01, fees: { swapFeeNumerator: 25, swapFeeDenominator: 10000 } }));
+        const opt = await optimizeRouteInput({ pools: route(), mints, maxInputAtomic: '1000000000000' });
+        assert.strictEqual(opt.method, 'closed_form');
+
+        const x = Number(opt.optimalInputAtomic);
+        const best = Number(opt.profitAtomic);
+        assert.strictEqual(best, await profitAt(route(), x));
+        assert.ok(best >= await profitAt(route(), Math.floor(x * 0.99)));
+        assert.ok(best >= await profitAt(route(), Math.floor(x * 1.01)));
+    });
+
+    it('falls back to golden-section search when a leg is not a plain CPMM', async () => {
+        const route = pools();
+        route[1].type = 'dlmm'; // no bin data: same CPMM curve, but not eligible for the closed form
+        const closed = await optimizeRouteInput({ pools: pools(), mints, maxInputAtomic: '1000000000000' });
+        const opt = await optimizeRouteInput({ pools: route, mints, maxInputAtomic: '1000000000000', iterations: 60 });
+
+        assert.strictEqual(opt.method, 'golden_section');
+        const rel = Math.abs(Number(opt.optimalInputAtomic) - Number(closed.optimalInputAtomic)) / Number(closed.optimalInputAtomic);
+        assert.ok(rel < 0.01, `golden-section optimum should be within 1% (got ${rel})`);
+    });
+
+    it('reports no size when the cycle cannot be profitable', async () => {
+        const route = pools();
+        route[1].yReserve = '1900000000000'; // B -> C now loses 5%
+        const opt = await optimizeRouteInput({ pools: route, mints, maxInputAtomic: '1000000000000' });
+        assert.strictEqual(opt.optimalInputAtomic, '0');
+    });
+});
+
+describe('findCycleArbitrage', () => {
+    const { findCycleArbitrage } = require('../../triangularNewEngine.js');
+    const pools = () => [
+        cpmmPool('ab1', 'A', 'B', '1000000000000', '2000000000000'),
+        cpmmPool('ab2', 'A', 'B', '1000000000000', '2100000000000'),
+        cpmmPool('bc', 'B', 'C', '2000000000000', '2000000000000'),
+        cpmmPool('ca', 'C', 'A', '2000000000000', '1000000000000'),
+        cpmmPool('cd', 'C', 'D', '1000000000000', '1000000000000'),
+        cpmmPool('da', 'D', 'A', '2000000000000', '1000000000000')
+    ];
+    const run = (extra) => findCycleArbitrage({ pools: pools(), amountInAtomic: '1000000', startToken: 'A', sdkFallback: false, ...extra });
+
+    it('finds 2-hop cycles between pools of the same pair', async () => {
+        const routes = await run({ maxHops: 2 });
+        assert.ok(routes.length > 0);
+        assert.ok(routes.every(r => r.hops === 2 && r.legs.length === 2 && r.path[0] === 'A' && r.path[2] === 'A'));
+        // sell A for B where B is cheap (ab2), buy A back where B is dear (ab1)
+        assert.deepStrictEqual(routes[0].pools.map(p => p.poolAddress), ['ab2', 'ab1']);
+        assert.ok(Number(routes[0].profitPct) > 4);
+    });
+
+    it('enumerates every simple cycle up to maxHops in both directions', async () => {
+        const routes = await run({ maxHops: 4 });
+        const byHops = (n) => routes.filter(r => r.hops === n).length;
+        assert.strictEqual(byHops(2), 2);      // ab1<->ab2 both ways
+        assert.strictEqual(byHops(3), 6);      // {ab1, ab2} x bc x ca and ca x cd x da, two directions each
+        assert.strictEqual(byHops(4), 4);      // {ab1, ab2} x bc x cd x da, two directions each
+        assert.ok(routes.every(r => r.path[0] === 'A' && r.path[r.path.length - 1] === 'A'));
+        assert.ok(routes.every(r => new Set(r.pools).size === r.hops));
+    });
+
+    it('stops after maxCycles candidates', async () => {
+        const routes = await run({ maxHops: 4, maxCycles: 3 });
+        assert.strictEqual(routes.length, 3);
+    });
+
+    it('rejects hop limits outside 2..5', async () => {
+        await assert.rejects(run({ maxHops: 6 }), /hops must satisfy/);
+    });
+});
+
+describe('discoverArbitrageCycles', () => {
+    const { discoverArbitrageCycles } = require('../../triangularNewEngine.js');
+
+    it('finds the mispriced cycle without a fixed start token and re-simulates it', async () => {
+        const pools = [
+            // X -> Y -> Z -> X has a ~5% edge; routing X -> W -> Y instead loses it
+            cpmmPool('xy', 'X', 'Y', '1000000000000', '2000000000000'),
+            cpmmPool('yz', 'Y', 'Z', '2000000000000', '2100000000000'),
+            cpmmPool('zx', 'Z', 'X', '2000000000000', '1000000000000'),
+            cpmmPool('xw', 'X', 'W', '1000000000000', '1000000000000'),
+            cpmmPool('wy', 'W', 'Y', '1000000000000', '1900000000000')
+        ];
+        const { routes, anchors, stats } = await discoverArbitrageCycles({ pools, amountsAtomic: { X: '1000000' } });
+
+        assert.ok(stats.negativeCycles >= 1);
+        const top = routes[0];
+        assert.strictEqual(top.path[0], 'X');
+        assert.deepStrictEqual(top.pools.map(p => p.poolAddress).sort(), ['xy', 'yz', 'zx']);
+        assert.strictEqual(top.inputAtomic, '1000000');
+        assert.ok(top.discovery.marginalEdgePct > 4 && top.discovery.marginalEdgePct < 5);
+        assert.ok(Number(top.profitPct) > 4);
+        assert.ok(!anchors.some(a => a.mint === 'W'));
+    });
+
+    it('finds nothing in a fairly priced graph', async () => {
+        const pools = [
+            cpmmPool('xy', 'X', 'Y', '1000000000000', '2000000000000'),
+            cpmmPool('yz', 'Y', 'Z', '2000000000000', '2000000000000'),
+            cpmmPool('zx', 'Z', 'X', '2000000000000', '1000000000000')
+        ];
+        const { routes, stats } = await discoverArbitrageCycles({ pools });
+        assert.strictEqual(stats.negativeCycles, 0);
+        assert.strictEqual(routes.length, 0);
+    });
+});
+
+describe('findTriangularArbitrage start-token accounting', () => {
+    const { findTriangularArbitrage } = require('../../triangularNewEngine.js');
+
+    it('uses the start token decimals from the pools and reports atomic, human and USD profit', async () => {
+        // 6-decimal start token U; U -> B -> C -> U carries a ~5% edge
+        const pools = [
+            cpmmPool('ub', 'U', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+            cpmmPool('cu', 'C', 'U', '2000000000000', '1000000000000')
+        ];
+        const [route] = await findTriangularArbitrage({
+            pools, amountInAtomic: '1000000', tokenA: 'U', tokenC: 'C',
+            startTokenUsdPrice: 2, sdkFallback: false
+        });
+
+        assert.strictEqual(route.startDecimals, 6);
+        assert.strictEqual(route.profitHuman, D(route.profitAtomic).div(1e6).toString());
+        assert.strictEqual(route.profitUsd, D(route.profitHuman).mul(2).toString());
+        // costs are converted at the right scale: net stays within a point of the raw profit
+        const gap = D(route.profitPct).minus(route.netAfterCostsPct);
+        assert.ok(gap.gte(0) && gap.lt(1), `gap ${gap}`);
+    });
+
+    it('prices profitUsd only for routes that start at tokenA', async () => {
+        const { MINT_SOL } = require('../../triangularNewEngine.js');
+        // U -> B -> C -> U next to SOL -> S -> C -> SOL, which the scan always starts from too
+        const pools = [
+            cpmmPool('ub', 'U', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+            cpmmPool('cu', 'C', 'U', '2000000000000', '1000000000000'),
+            cpmmPool('ss', MINT_SOL, 'S', '1000000000000', '2000000000', { baseDecimals: 9 }),
+            cpmmPool('sc', 'S', 'C', '2000000000', '2100000000'),
+            cpmmPool('cs', 'C', MINT_SOL, '2000000000', '1000000000000', { quoteDecimals: 9 })
+        ];
+        const routes = await findTriangularArbitrage({
+            pools, amountInAtomic: '1000000', tokenA: 'U', tokenC: 'C',
+            startTokenUsdPrice: 2, sdkFallback: false
+        });
+
+        const fromU = routes.filter(r => r.tokenA === 'U');
+        const fromSol = routes.filter(r => r.tokenA === MINT_SOL);
+        assert.ok(fromU.length > 0 && fromSol.length > 0);
+        for (const r of fromU) assert.strictEqual(r.profitUsd, D(r.profitHuman).mul(2).toString());
+        for (const r of fromSol) assert.strictEqual(r.profitUsd, null);
+    });
+
+    it('drops pools that disagree on a mint\'s decimals and counts them', async () => {
+        // two pools declare U with 6 decimals, cu9 says 9: cu9 is left out, cu still routes
+        const pools = [
+            cpmmPool('ub', 'U', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+            cpmmPool('cu9', 'C', 'U', '2000000000000', '1000000000000000', { quoteDecimals: 9 }),
+            cpmmPool('cu', 'C', 'U', '2000000000000', '1000000000000')
+        ];
+        const routes = await findTriangularArbitrage({
+            pools, amountInAtomic: '1000000', tokenA: 'U', tokenC: 'C', sdkFallback: false
+        });
+
+        assert.strictEqual(routes.stats.decimalConflicts, 1);
+        assert.ok(routes.length > 0);
+        assert.ok(routes.every(r => r.startDecimals === 6));
+        assert.ok(routes.every(r => !r.pools.some(p => p.poolAddress === 'cu9')));
+    });
+});
+
+describe('findPairArbitrage', () => {
+    const { findPairArbitrage } = require('../../triangularNewEngine.js');
+
+    it('buys on the cheap pool and sells on the expensive one at each configured size', async () => {
+        const pools = [
+            cpmmPool('cheap', 'S', 'U', '1000000000000', '100000000000000'), // 100 U per S
+            cpmmPool('rich', 'U', 'S', '105000000000000', '1000000000000'), // 105 U per S
+            cpmmPool('other', 'S', 'X', '1000000000000', '1000000000000')
+        ];
+        const routes = await findPairArbitrage({
+            pools, startTokens: ['U'], amountsAtomic: { U: ['100000000', '1000000000'] }, sdkFallback: false
+        });
+
+        // two orderings x two sizes starting from U; the lone S/X pool never forms a pair
+        assert.strictEqual(routes.length, 4);
+        const best = routes[0];
+        assert.strictEqual(best.hops, 2);
+        assert.deepStrictEqual(best.path, ['U', 'S', 'U']);
+        assert.deepStrictEqual(best.pools.map(p => p.poolAddress), ['cheap', 'rich']);
+        assert.ok(Number(best.profitPct) > 4);
+        assert.ok(routes.filter(r => r.pools[0].poolAddress === 'rich').every(r => Number(r.profitPct) < 0));
+    });
+});
+
+describe('RouteIndex', () => {
+    const { buildTriangularRouteIndex } = require('../../triangularNewEngine.js');
+
+    function trianglePools() {
+        return [
+            cpmmPool('ab', 'A', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('ad', 'A', 'D', '1000000000000', '1000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2000000000000'),
+            cpmmPool('dc', 'D', 'C', '1000000000000', '2000000000000'),
+            cpmmPool('ca', 'C', 'A', '2000000000000', '1000000000000')
+        ];
+    }
+
+    it('re-simulates only the routes touching an updated pool', async () => {
+        const index = await buildTriangularRouteIndex({
+            pools: trianglePools(), amountInAtomic: '1000000', tokenA: 'A', tokenC: 'C', sdkFallback: false
+        });
+        // two triples, each in both orientations
+        assert.strictEqual(index.size, 4);
+        assert.strictEqual(index.routesForPool('ca').length, 4);
+        assert.strictEqual(index.ranked({ passingOnly: true }).length, 0);
+
+        // make B cheap in C terms: only the two orientations through bc move
+        const res = await index.applyPoolUpdates([
+            { poolAddress: 'bc', xReserve: '2000000000000', yReserve: '2200000000000' },
+            { poolAddress: 'unknown', xReserve: '1' }
+        ]);
+        assert.deepStrictEqual(res, { updatedPools: 1, reevaluated: 2 });
+
+        const [top] = index.ranked();
+        assert.strictEqual(top.routeId, 'A:ab>bc>ca');
+        assert.ok(Number(top.profitPct) > 5);
+        assert.strictEqual(index.ranked({ passingOnly: true }).length, 1);
+    });
+});
+
+describe('findTriangularArbitrage budget', () => {
+    const { findTriangularArbitrage } = require('../../triangularNewEngine.js');
+
+    const pools = [
+        cpmmPool('ab', 'A', 'B', '1000000000000', '2000000000000'),
+        cpmmPool('ab2', 'A', 'B', '1000000000000', '2010000000000'),
+        cpmmPool('ad', 'A', 'D', '1000000000000', '1000000000000'),
+        cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+        cpmmPool('dc', 'D', 'C', '1000000000000', '2000000000000'),
+        cpmmPool('ca', 'C', 'A', '2000000000000', '1000000000000')
+    ];
+    const base = { pools, amountInAtomic: '1000000', tokenA: 'A', tokenC: 'C', sdkFallback: false };
+
+    it('evaluates the same routes with parallel lanes', async () => {
+        const serial = await findTriangularArbitrage(base);
+        const parallel = await findTriangularArbitrage({ ...base, concurrency: 4 });
+        assert.deepStrictEqual(serial.stats, {
+            evaluated: 6, passing: 2, discarded: 0, prefiltered: 0, failed: 0, skipped: 0, stoppedBy: null,
+            legsSimulated: 15, legsReused: 3, poolsBelowMinSlot: 0, decimalConflicts: 0
+        });
+        assert.deepStrictEqual(parallel.map(r => r.netAfterCostsPct), serial.map(r => r.netAfterCostsPct));
+        assert.strictEqual(parallel.stats.evaluated, 6);
+    });
+
+    it('reports skipped candidates when the signal aborts or the deadline passes', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const aborted = await findTriangularArbitrage({ ...base, signal: controller.signal });
+        assert.strictEqual(aborted.length, 0);
+        assert.strictEqual(aborted.stats.evaluated, 0);
+        assert.strictEqual(aborted.stats.skipped, 6);
+        assert.strictEqual(aborted.stats.stoppedBy, 'aborted');
+
+        const late = await findTriangularArbitrage({ ...base, deadlineMs: 0 });
+        assert.strictEqual(late.stats.stoppedBy, 'deadline');
+        assert.strictEqual(late.stats.skipped, 6);
+    });
+
+    it('evaluates the reverse orientation of each triple as its own route', async () => {
+        const flipped = [
+            cpmmPool('ab', 'A', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '1900000000000'),
+            cpmmPool('ca', 'C', 'A', '2000000000000', '1000000000000')
+        ];
+        const routes = await findTriangularArbitrage({ ...base, pools: flipped });
+        assert.deepStrictEqual(routes.map(r => r.direction), ['reverse', 'forward']);
+        assert.deepStrictEqual(routes[0].path, ['A', 'C', 'B', 'A']);
+        assert.deepStrictEqual(routes[0].pools.map(p => p.poolAddress), ['ca', 'bc', 'ab']);
+        assert.ok(Number(routes[0].profitPct) > 4);
+        assert.ok(routes[0].passes && !routes[1].passes);
+    });
+
+    it('requires every leg to be read at or after minReserveSlot', async () => {
+        const slotted = pools.map(p => ({ ...p, _reserveSlot: p.poolAddress === 'ab2' ? 99 : 100 }));
+        delete slotted[5]._reserveSlot; // ca: cache reserves without a slot
+        const none = await findTriangularArbitrage({ ...base, pools: slotted, minReserveSlot: 100 });
+        assert.strictEqual(none.length, 0);
+        assert.strictEqual(none.stats.poolsBelowMinSlot, 2);
+
+        slotted[5]._reserveSlot = 101;
+        const routes = await findTriangularArbitrage({ ...base, pools: slotted, minReserveSlot: 100 });
+        assert.ok(routes.length > 0);
+        assert.ok(routes.every(r => r.pools.every(p => p._reserveSlot >= 100)));
+        assert.strictEqual(routes.stats.poolsBelowMinSlot, 1);
+    });
+
+    it('keeps the best maxRoutes out of every evaluated candidate', async () => {
+        const all = await findTriangularArbitrage(base);
+        const capped = await findTriangularArbitrage({ ...base, maxRoutes: 1 });
+        assert.strictEqual(capped.length, 1);
+        assert.strictEqual(capped[0].netAfterCostsPct, all[0].netAfterCostsPct);
+        assert.strictEqual(capped.stats.evaluated, 6);
+        assert.strictEqual(capped.stats.passing, 2);
+        assert.strictEqual(capped.stats.discarded, 5);
+    });
+
+    it('only simulates triples whose mid-price edge can clear the threshold', async () => {
+        const routes = await findTriangularArbitrage({ ...base, midPricePrefilter: true });
+        // A-B-C-A via ab or ab2 carries ~5%; A-D-C-A and every reverse orientation are never simulated
+        assert.strictEqual(routes.stats.prefiltered, 4);
+        assert.strictEqual(routes.stats.evaluated, 2);
+        assert.ok(routes.every(r => r.tokenB === 'B' && r.direction === 'forward'));
+    });
+
+    it('keeps the deepest pools per pair when capped', async () => {
+        const shallowFirst = [cpmmPool('ab-shallow', 'A', 'B', '1000000', '2000000'), ...pools];
+        const routes = await findTriangularArbitrage({ ...base, pools: shallowFirst, maxPoolsPerPair: 1 });
+        const ab = routes.filter(r => r.tokenB === 'B').map(r => r.pools[0].poolAddress);
+        assert.deepStrictEqual(ab, ['ab2']);
+    });
+
+    it('ranks capped pools by the TVL in the pool JSON, CLMM pools included', async () => {
+        // tick-state CLMM pools have no reserves; the repo's pool files carry tvl: { tvl }
+        const clmm = (address, tvl) => ({
+            poolAddress: address, type: 'clmm', fee: 0.003, baseMint: 'A', quoteMint: 'B',
+            baseDecimals: 6, quoteDecimals: 6, sqrtPriceCurrent: Math.SQRT2.toString(), tickCurrent: 6931,
+            segments: [{ tickLower: -50000, tickUpper: 50000, liquidity: '1000000000000' }], tvl: { tvl }
+        });
+        const ranked = [
+            clmm('ab-clmm-small', 1000),
+            { ...cpmmPool('ab-cpmm', 'A', 'B', '1000000000000', '2000000000000'), tvl: { tvl: 50000 } },
+            clmm('ab-clmm-deep', 900000)
+        ];
+        const rest = pools.filter(p => p.baseMint !== 'A' || p.quoteMint !== 'B');
+        const routes = await findTriangularArbitrage({ ...base, pools: [...ranked, ...rest], maxPoolsPerPair: 2 });
+
+        const ab = new Set(routes.filter(r => r.tokenB === 'B').map(r => r.pools[0].poolAddress));
+        assert.deepStrictEqual([...ab].sort(), ['ab-clmm-deep', 'ab-cpmm']);
+    });
+});
+
+describe('route profit curve', () => {
+    const { findTriangularArbitrage } = require('../../triangularNewEngine.js');
+
+    it('evaluates each route over the size ladder and reports the passing band', async () => {
+        const pools = [
+            cpmmPool('ab', 'A', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+            cpmmPool('ca', 'C', 'A', '2000000000000', '1000000000000')
+        ];
+        const [route] = await findTriangularArbitrage({
+            pools, amountInAtomic: '1000000', tokenA: 'A', tokenC: 'C', sdkFallback: false,
+            curveSizesAtomic: ['100000000000', '1000000', '1000000000', '10000000000']
+        });
+
+        assert.deepStrictEqual(route.profitCurve.map(p => p.inputAtomic), ['1000000', '1000000000', '10000000000', '100000000000']);
+        assert.deepStrictEqual(route.profitCurve.map(p => p.passes), [true, true, false, false]);
+        // slippage eats the ~5% edge as size grows
+        assert.ok(Number(route.profitCurve[3].profitPct) < 0);
+        assert.deepStrictEqual(route.profitableBand, { minInputAtomic: '1000000', maxInputAtomic: '1000000000' });
+    });
+});
+
+describe('findTriangularArbitrage execution costs', () => {
+    const { findTriangularArbitrage, MINT_SOL } = require('../../triangularNewEngine.js');
+    const sol = (address, other, x, y) => cpmmPool(address, MINT_SOL, other, x, y, { baseDecimals: 9 });
+    const executionCost = { priorityMicroLamportsPerCu: 1000000, jitoTipLamports: 1000000 };
+
+    it('deducts lamport costs from netAfterCostsPct on a SOL start', async () => {
+        const pools = [
+            sol('sb', 'B', '1000000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2004000000000'),
+            cpmmPool('cs', 'C', MINT_SOL, '2000000000000', '1000000000000000', { quoteDecimals: 9 })
+        ];
+        const base = { pools, amountInAtomic: '1000000000', tokenA: MINT_SOL, tokenC: 'C', sdkFallback: false };
+        const [plain] = await findTriangularArbitrage(base);
+        const [costed] = await findTriangularArbitrage({ ...base, executionCost, thresholdPct: 0 });
+
+        // 20000 + 3 * 60000 CU at 1 lamport/CU + 5000 base + 1e6 tip = 1205000 lamports on 1 SOL
+        assert.strictEqual(costed.executionCost.totalLamports, '1205000');
+        assert.strictEqual(costed.executionCost.startTokenHuman, '0.001205');
+        const drop = D(plain.netAfterCostsPct).minus(costed.netAfterCostsPct);
+        assert.ok(drop.minus('0.1205').abs().lt('1e-9'), drop.toString());
+        assert.strictEqual(costed.netBeforeExecutionPct, plain.netAfterCostsPct);
+        assert.strictEqual(costed.passes, D(costed.netAfterCostsPct).gte(0));
+    });
+
+    it('converts costs through the SOL pool price for other start tokens', async () => {
+        const pools = [
+            cpmmPool('ub', 'U', 'B', '1000000000000', '2000000000000'),
+            cpmmPool('bc', 'B', 'C', '2000000000000', '2100000000000'),
+            cpmmPool('cu', 'C', 'U', '2000000000000', '1000000000000'),
+            sol('su', 'U', '1000000000000000', '100000000000000') // 100 U per SOL
+        ];
+        const base = { pools, amountInAtomic: '1000000', tokenA: 'U', tokenC: 'C', sdkFallback: false, executionCost };
+        const [route] = await findTriangularArbitrage(base);
+        assert.strictEqual(route.executionCost.startTokenHuman, '0.1205');
+
+        await assert.rejects(findTriangularArbitrage({ ...base, pools: pools.slice(0, 3) }), /no SOL price/);
+        const [priced] = await findTriangularArbitrage({ ...base, pools: pools.slice(0, 3), startTokenPerSol: 50 });
+        assert.strictEqual(priced.executionCost.startTokenHuman, '0.06025');
+    });
+
+    it('stops every lane before rejecting when the SOL price is missing', async () => {
+        // U -> Bi -> C -> U for six B mints; no SOL/U pool, so every candidate's cost lookup fails
+        let reads = 0;
+        const counted = (pool) => {
+            const x = pool.xReserve;
+            Object.defineProperty(pool, 'xReserve', { get: () => { reads++; return x; }, enumerable: true });
+            return pool;
+        };
+        const pools = [cpmmPool('cu', 'C', 'U', '2000000000000', '1000000000000')];
+        for (let i = 0; i < 6; i++) {
+            pools.push(cpmmPool(`ub${i}`, 'U', `B${i}`, '1000000000000', '2000000000000'));
+            pools.push(cpmmPool(`bc${i}`, `B${i}`, 'C', '2000000000000', '2100000000000'));
+        }
+        pools.forEach(counted);
+
+        await assert.rejects(findTriangularArbitrage({
+            pools, amountInAtomic: '1000000', tokenA: 'U', tokenC: 'C', sdkFallback: false,
+            executionCost, midPricePrefilter: true, concurrency: 3
+        }), /no SOL price/);
+        const atRejection = reads;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(reads, atRejection, 'no lane keeps simulating after the rejection');
+    });
+});
+
+describe('loadAndEnrichPools freshness', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { loadPoolsFromFile, loadAndEnrichPools } = require('../../triangularNewEngine.js');
+
+    const filePool = (poolAddress, raw = { reserve_x_amount: '1000', reserve_y_amount: '2000' }) => ({
+        poolAddress, type: 'cpmm', fee: 0.003,
+        baseToken: { mint: 'A', decimals: 6 }, quoteToken: { mint: 'B', decimals: 6 }, raw
+    });
+
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-')); });
+    afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+    function writeJson(name, value) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(value));
+        return file;
+    }
+
+    it('reads the snapshot timestamp from { timestamp, pools } files', () => {
+        const file = writeJson('snap.json', { timestamp: '2025-12-14T08:11:10.838Z', pools: [filePool('p1')] });
+        const { pools, snapshotTimestamp } = loadPoolsFromFile(file);
+        assert.strictEqual(snapshotTimestamp, Date.parse('2025-12-14T08:11:10.838Z'));
+        assert.strictEqual(pools[0]._snapshotTimestamp, snapshotTimestamp);
+
+        const legacy = loadPoolsFromFile(writeJson('arr.json', [filePool('p1')]));
+        assert.strictEqual(legacy.snapshotTimestamp, null);
+    });
+
+    it('reports freshness buckets and excludes stale pools on request', async () => {
+        const file = writeJson('snap.json', {
+            timestamp: new Date(Date.now() - 3 * 3600e3).toISOString(),
+            pools: [filePool('p1'), filePool('p2')]
+        });
+        const flagged = await loadAndEnrichPools({ poolFile: file, rpcEndpoints: ['http://127.0.0.1:1'], maxReserveAgeMs: 3600e3 });
+        assert.strictEqual(flagged.pools.length, 2);
+        assert.deepStrictEqual(flagged.stats.freshness, { under1m: 0, under1h: 0, under1d: 2, over1d: 0, unknown: 0 });
+        assert.strictEqual(flagged.stats.stale, 2);
+
+        const excluded = await loadAndEnrichPools({
+            poolFile: file, rpcEndpoints: ['http://127.0.0.1:1'], maxReserveAgeMs: 3600e3, excludeStale: true
+        });
+        assert.strictEqual(excluded.pools.length, 0);
+        assert.strictEqual(excluded.stats.staleExcluded, 2);
+    });
+
+    it('counts kept pools without any reserve data as unknown age', async () => {
+        const clmm = { ...filePool('c1', {}), type: 'clmm' };
+        const file = writeJson('snap.json', { timestamp: new Date().toISOString(), pools: [clmm] });
+        const { pools, stats } = await loadAndEnrichPools({ poolFile: file, rpcEndpoints: ['http://127.0.0.1:1'] });
+        assert.strictEqual(pools.length, 1);
+        assert.strictEqual(pools[0]._reserveSource, 'none');
+        assert.deepStrictEqual(stats.freshness, { under1m: 0, under1h: 0, under1d: 0, over1d: 0, unknown: 1 });
+    });
+});
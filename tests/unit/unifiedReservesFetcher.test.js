@@ -0,0 +1,327 @@
+'use strict';
+
+const assert = require('assert');
+const { PublicKey } = require('@solana/web3.js');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { decodeTransferFeeConfig, detectType, UnifiedReservesFetcher, ReservesStream } = require('../../unifiedReservesFetcher.js');
+const { RAYDIUM_STABLE_PROGRAM } = require('../../processorNewEngine.js');
+
+describe('decodeTransferFeeConfig', () => {
+    // Token-2022 mint: 165-byte padded base, AccountType=Mint, then TransferFeeConfig TLV
+    function mintWithTransferFee({ older, newer }) {
+        const data = Buffer.alloc(166 + 4 + 108);
+        data[165] = 1;
+        data.writeUInt16LE(1, 166);
+        data.writeUInt16LE(108, 168);
+        const v = 170;
+        const writeFee = (at, f) => {
+            data.writeBigUInt64LE(BigInt(f.epoch), at);
+            data.writeBigUInt64LE(BigInt(f.maximumFee), at + 8);
+            data.writeUInt16LE(f.bps, at + 16);
+        };
+        writeFee(v + 72, older);
+        writeFee(v + 90, newer);
+        return data;
+    }
+
+    const data = mintWithTransferFee({
+        older: { epoch: 500, maximumFee: 1000, bps: 25 },
+        newer: { epoch: 600, maximumFee: 5000, bps: 100 }
+    });
+
+    it('picks the fee that applies at the given epoch', () => {
+        assert.deepStrictEqual(decodeTransferFeeConfig(data, 550), { transferFeeBasisPoints: 25, maximumFee: '1000', epoch: '500' });
+        assert.deepStrictEqual(decodeTransferFeeConfig(data, 600), { transferFeeBasisPoints: 100, maximumFee: '5000', epoch: '600' });
+    });
+
+    it('returns null for legacy mints without extensions', () => {
+        assert.strictEqual(decodeTransferFeeConfig(Buffer.alloc(82)), null);
+    });
+});
+
+describe('detectType', () => {
+    it('classifies the Raydium stable program as stable even when labelled cpmm', () => {
+        assert.strictEqual(detectType({ type: 'cpmm', programId: RAYDIUM_STABLE_PROGRAM }), 'stable');
+        assert.strictEqual(detectType({ poolType: 'Standard cpmm', raw: { programId: RAYDIUM_STABLE_PROGRAM } }), 'stable');
+        assert.strictEqual(detectType({ type: 'cpmm', dex: 'raydium' }), 'cpmm');
+    });
+});
+
+describe('UnifiedReservesFetcher.enrichPools vault batching', () => {
+    function tokenAccount(amount) {
+        const data = Buffer.alloc(165);
+        data.writeBigUInt64LE(BigInt(amount), 64);
+        return { data };
+    }
+
+    // fake endpoints: answer from `amounts` (addr => amount) at `slot` (number or per-call
+    // function), record batch sizes, fail on demand
+    function fakeConnection(amounts, calls, failWhen = () => false, slot = 1) {
+        return {
+            async getMultipleAccountsInfoAndContext(keys) {
+                calls.push(keys.length);
+                if (failWhen(keys)) throw new Error('rpc down');
+                return {
+                    context: { slot: typeof slot === 'function' ? slot(calls.length) : slot },
+                    value: keys.map(k => (amounts.has(k.toBase58()) ? tokenAccount(amounts.get(k.toBase58())) : null))
+                };
+            }
+        };
+    }
+
+    function makePools(n, amounts) {
+        const pools = [];
+        for (let i = 0; i < n; i++) {
+            const vx = PublicKey.unique().toBase58();
+            const vy = PublicKey.unique().toBase58();
+            amounts.set(vx, 1000 + i);
+            amounts.set(vy, 2000 + i);
+            pools.push({
+                poolAddress: `pool${i}`, type: 'cpmm',
+                raw: { tokenVaultA: vx, tokenVaultB: vy, reserve_x_amount: '1', reserve_y_amount: '1' }
+            });
+        }
+        return pools;
+    }
+
+    it('fetches every vault in maxBatch-sized calls spread over the endpoints', async () => {
+        const amounts = new Map();
+        const pools = makePools(10, amounts);
+        const calls = [];
+        const fetcher = new UnifiedReservesFetcher({ rpcEndpoints: ['http://a', 'http://b'], maxBatch: 6 });
+        fetcher._connections = [fakeConnection(amounts, calls), fakeConnection(amounts, calls)];
+
+        const out = await fetcher.enrichPools(pools);
+
+        assert.deepStrictEqual(calls.sort((a, b) => a - b), [2, 6, 6, 6]);
+        assert.ok(out.every(p => p._reserveSource === 'vault'));
+        assert.strictEqual(out[7].xReserve, '1007');
+        assert.strictEqual(out[7].yReserve, '2007');
+        assert.ok(out.every(p => p._reserveSlot === 1));
+    });
+
+    it('stamps _reserveSlot and re-reads vault pairs split across slots when required', async () => {
+        const amounts = new Map();
+        // maxBatch 3 puts pool1's x vault and y vault in different calls (slots 10 and 11)
+        const pools = makePools(2, amounts);
+        const calls = [];
+        const conn = fakeConnection(amounts, calls, () => false, n => 9 + n);
+
+        const loose = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a', maxBatch: 3, maxParallel: 1 });
+        loose._connections = [conn];
+        const [a, b] = await loose.enrichPools(pools);
+        assert.strictEqual(a._reserveSlot, 10);
+        assert.strictEqual(b._reserveSlot, 10);
+        assert.deepStrictEqual(b._reserveSlots, { x: 10, y: 11 });
+
+        calls.length = 0;
+        const strict = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a', maxBatch: 3, maxParallel: 1, requireSameSlot: true });
+        strict._connections = [conn];
+        const [, b2] = await strict.enrichPools(pools);
+        assert.deepStrictEqual(calls, [3, 1, 2]); // two batches, then pool1's pair together
+        assert.strictEqual(b2._reserveSlot, 12);
+        assert.strictEqual(b2._reserveSlots, undefined);
+    });
+
+    it('falls back to cached amounts for pools whose batch failed', async () => {
+        const amounts = new Map();
+        const pools = makePools(4, amounts);
+        const calls = [];
+        const badVault = pools[3].raw.tokenVaultB;
+        const fetcher = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a', maxBatch: 4, maxRetries: 1, retryDelayMs: 1 });
+        fetcher._connections = [fakeConnection(amounts, calls, keys => keys.some(k => k.toBase58() === badVault))];
+
+        const out = await fetcher.enrichPools(pools);
+
+        // good batch + failing batch and its retry; no per-pool refetch afterwards
+        assert.strictEqual(calls.length, 3);
+        assert.deepStrictEqual(out.map(p => p._reserveSource), ['vault', 'vault', 'cache_amount', 'cache_amount']);
+    });
+});
+
+describe('ReservesStream', () => {
+    const vaultX = PublicKey.unique().toBase58();
+    const vaultY = PublicKey.unique().toBase58();
+    const pool = { poolAddress: 'pool1', type: 'cpmm', xReserve: '1', yReserve: '1', raw: { tokenVaultA: vaultX, tokenVaultB: vaultY } };
+
+    function tokenAccountBase64(amount) {
+        const data = Buffer.alloc(165);
+        data.writeBigUInt64LE(BigInt(amount), 64);
+        return data.toString('base64');
+    }
+
+    // Recorded accountNotification payloads, replayed per connection once all accounts are subscribed
+    const recordings = [
+        [
+            { account: vaultX, slot: 100, amount: 5000 },
+            { account: vaultY, slot: 101, amount: 7000 }
+        ],
+        [
+            { account: vaultX, slot: 102, amount: 5500 }
+        ]
+    ];
+
+    // Local stand-in for the RPC pubsub endpoint: acks accountSubscribe, replays the next
+    // recording, then drops the connection to force a reconnect.
+    function startStandIn() {
+        const server = new WebSocket.Server({ port: 0 });
+        server.connections = 0;
+        server.subscribeRequests = [];
+        server.on('connection', (socket) => {
+            const recording = recordings[server.connections++] || [];
+            const subs = new Map();
+            socket.on('message', (raw) => {
+                const req = JSON.parse(raw.toString());
+                if (req.method !== 'accountSubscribe') return;
+                server.subscribeRequests.push(req.params);
+                const subId = 1000 * server.connections + subs.size;
+                subs.set(req.params[0], subId);
+                socket.send(JSON.stringify({ jsonrpc: '2.0', result: subId, id: req.id }));
+                if (subs.size < 2) return;
+                for (const n of recording) {
+                    socket.send(JSON.stringify({
+                        jsonrpc: '2.0',
+                        method: 'accountNotification',
+                        params: {
+                            subscription: subs.get(n.account),
+                            result: {
+                                context: { slot: n.slot },
+                                value: { data: [tokenAccountBase64(n.amount), 'base64'], lamports: 2039280, owner: 'Tokenkeg' }
+                            }
+                        }
+                    }));
+                }
+                if (server.connections === 1) setTimeout(() => socket.close(), 20);
+            });
+        });
+        return new Promise(resolve => server.on('listening', () => resolve(server)));
+    }
+
+    function collect(stream, event, count, timeoutMs = 3000) {
+        const seen = [];
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`timed out waiting for ${count} ${event}`)), timeoutMs);
+            stream.on(event, (e, info) => {
+                seen.push(info ? { ...e, info } : e);
+                if (seen.length === count) {
+                    clearTimeout(timer);
+                    resolve(seen);
+                }
+            });
+        });
+    }
+
+    it('applies vault notifications with their slot and resubscribes after a reconnect', async () => {
+        const server = await startStandIn();
+        const stream = new ReservesStream({
+            wsUrl: `ws://127.0.0.1:${server.address().port}`, pools: [pool], reconnectDelayMs: 10
+        });
+        try {
+            const updates = collect(stream, 'poolUpdated', 3);
+            stream.start();
+            const events = await updates;
+
+            assert.deepStrictEqual(events.map(e => [e.info.field, e._reserveSlot, e.xReserve, e.yReserve]), [
+                ['x', 100, '5000', '1'],
+                ['y', 101, '5000', '7000'],
+                ['x', 102, '5500', '7000']
+            ]);
+            assert.strictEqual(server.connections, 2);
+            assert.strictEqual(server.subscribeRequests.length, 4);
+            assert.deepStrictEqual(server.subscribeRequests[0][1], { encoding: 'base64', commitment: 'confirmed' });
+
+            const live = stream.getPool('pool1');
+            assert.strictEqual(live._reserveSource, 'stream');
+            assert.strictEqual(live._reserveSlot, 102);
+            assert.strictEqual(pool.xReserve, '1'); // caller's pool object is not mutated
+        } finally {
+            stream.stop();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('emits updates that RouteIndex.applyPoolUpdates takes as they are', async () => {
+        const { buildTriangularRouteIndex } = require('../../triangularNewEngine.js');
+        const leg = (poolAddress, baseMint, quoteMint, x, y, extra = {}) => ({
+            poolAddress, type: 'cpmm', fee: 0.003, baseMint, quoteMint, baseDecimals: 0, quoteDecimals: 0,
+            xReserve: x, yReserve: y, ...extra
+        });
+        const ab = leg('pool1', 'A', 'B', '1000000', '2000000', { raw: { tokenVaultA: vaultX, tokenVaultB: vaultY }, _reserveSlot: 1 });
+        const index = await buildTriangularRouteIndex({
+            pools: [ab, leg('bc', 'B', 'C', '2000000', '2100000'), leg('ca', 'C', 'A', '2000000', '1000000')],
+            amountInAtomic: '100', tokenA: 'A', tokenC: 'C', sdkFallback: false
+        });
+
+        const server = await startStandIn();
+        const stream = new ReservesStream({
+            wsUrl: `ws://127.0.0.1:${server.address().port}`, pools: [ab], reconnectDelayMs: 10
+        });
+        try {
+            const applied = [];
+            stream.on('poolUpdated', (update) => applied.push(index.applyPoolUpdates([update])));
+            const updates = collect(stream, 'poolUpdated', 3);
+            stream.start();
+            await updates;
+            await Promise.all(applied);
+
+            const indexed = index.pools.get('pool1');
+            assert.strictEqual(indexed.xReserve, '5500');
+            assert.strictEqual(indexed.liquidityY, '7000');
+            assert.strictEqual(indexed._reserveSlot, 102);
+            assert.strictEqual(indexed._reserveSource, 'stream');
+            for (const key of ['pool', 'account', 'field', 'slot']) assert.ok(!(key in indexed), key);
+        } finally {
+            stream.stop();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('derives the websocket URL from the fetcher endpoint', () => {
+        const fetcher = new UnifiedReservesFetcher({ rpcEndpoint: 'https://rpc.example.com/key' });
+        const FakeSocket = class extends EventEmitter { terminate() {} };
+        const stream = fetcher.streamReserves([pool], { WebSocketImpl: FakeSocket });
+        assert.strictEqual(stream.wsUrl, 'wss://rpc.example.com/key');
+        assert.strictEqual(stream.accountCount, 2);
+        stream.stop();
+    });
+});
+
+describe('UnifiedReservesFetcher staleness policy', () => {
+    const HOUR = 3600e3;
+    const cached = (poolAddress, extra = {}) => ({
+        poolAddress, type: 'cpmm', raw: { reserve_x_amount: '10', reserve_y_amount: '20' }, ...extra
+    });
+
+    it('stamps cached reserves with the snapshot time and flags old or unknown ones', async () => {
+        const fetcher = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a', maxReserveAgeMs: HOUR });
+        const old = Date.now() - 2 * HOUR;
+        const out = await fetcher.enrichPools([
+            cached('recent', { _snapshotTimestamp: Date.now() - 60e3 }),
+            cached('old', { _snapshotTimestamp: old }),
+            cached('fileTime'),
+            cached('none', { raw: {} })
+        ], { snapshotTimestamp: new Date(old).toISOString() });
+
+        assert.deepStrictEqual(out.map(p => p._reserveStale), [false, true, true, false]);
+        assert.strictEqual(out[1]._reserveTimestamp, old);
+        assert.ok(out[1]._reserveAgeMs >= 2 * HOUR);
+        assert.strictEqual(out[2]._reserveTimestamp, old);
+        // no reserve data at all: unknown age, not fresh
+        assert.strictEqual(out[3]._reserveTimestamp, null);
+        assert.strictEqual(out[3]._reserveAgeMs, null);
+
+        const noTime = await fetcher.enrichPool(cached('unknown'));
+        assert.strictEqual(noTime._reserveAgeMs, null);
+        assert.strictEqual(noTime._reserveStale, true);
+    });
+
+    it('drops stale pools with excludeStale and flags nothing without a policy', async () => {
+        const pools = [cached('old', { _snapshotTimestamp: Date.now() - 2 * HOUR }), cached('recent', { _snapshotTimestamp: Date.now() })];
+        const strict = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a', maxReserveAgeMs: HOUR });
+        assert.deepStrictEqual((await strict.enrichPools(pools, { excludeStale: true })).map(p => p.poolAddress), ['recent']);
+
+        const lax = new UnifiedReservesFetcher({ rpcEndpoint: 'http://a' });
+        assert.ok((await lax.enrichPools(pools)).every(p => p._reserveStale === false));
+    });
+});
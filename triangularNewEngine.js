@@ -7,6 +7,10 @@
  *   - loads pools from a JSON file (metadata or cached reserves)
  *   - enriches pools with LIVE reserves using unifiedReservesFetcher
  *   - runs triangular arbitrage simulation using processorNewEngine
+ *   - RouteIndex keeps compiled routes and re-simulates only those touched by pool updates
+ *   - findCycleArbitrage generalizes the search to 2..5-leg cycles from any start token
+ *   - findPairArbitrage compares pools on the same mint pair (buy on one, sell on the other)
+ *   - discoverArbitrageCycles finds negative -log(rate) cycles across all mints (Bellman-Ford)
  *
  * IMPORTANT RULES:
  *   - Atomic amounts are ALWAYS integers (strings or Decimals), never fractional.
@@ -18,8 +22,12 @@
 const fs = require('fs');
 const path = require('path');
 
-const { Decimal, D, atomicToHuman, humanToAtomic, processSwap, computeTotalCostTokenOut } = require('./processorNewEngine.js');
-const { UnifiedReservesFetcher, detectType } = require('./unifiedReservesFetcher.js');
+const {
+    Decimal, D, atomicToHuman, humanToAtomic, hasClmmState, hasDlmmBins,
+    getTransferFeeConfig, computeTransferFee, getRaydiumV4Fees, processSwap, computeTotalCostTokenOut
+} = require('./processorNewEngine.js');
+const { UnifiedReservesFetcher, detectType, toTimestampMs } = require('./unifiedReservesFetcher.js');
+const { LAMPORTS_PER_SOL, createExecutionCostModel } = require('./executionCostModel.js');
 
 // Well-known mints (mainnet)
 const MINT_SOL = 'So11111111111111111111111111111111111111112';
@@ -33,6 +41,42 @@ function shortMint(m) { return (m || '').slice(0, 6) + '...' + (m || '').slice(-
 
 function safeUpper(s) { return (s || '').toString().toUpperCase(); }
 
+function mintDecimals(pool, mint) {
+    return pool.baseMint === mint ? pool.baseDecimals : pool.quoteDecimals;
+}
+
+// Decimals of a mint as declared by the pools that trade it (null if no pool does).
+// Scanners run dropDecimalConflicts first, so every remaining pool agrees.
+function resolveMintDecimals(pools, mint) {
+    for (const p of pools) {
+        if (p.baseMint === mint || p.quoteMint === mint) return Number(mintDecimals(p, mint));
+    }
+    return null;
+}
+
+// Pools that disagree on a mint's decimals would make every human/percent figure wrong.
+// The value most pools declare wins (the first one seen on a tie); pools declaring
+// anything else for either of their mints are dropped and counted.
+function dropDecimalConflicts(pools) {
+    const votes = new Map(); // mint -> Map(decimals -> pools)
+    for (const p of pools) {
+        for (const [mint, d] of [[p.baseMint, p.baseDecimals], [p.quoteMint, p.quoteDecimals]]) {
+            if (!votes.has(mint)) votes.set(mint, new Map());
+            const counts = votes.get(mint);
+            counts.set(Number(d), (counts.get(Number(d)) || 0) + 1);
+        }
+    }
+    const agreed = new Map();
+    for (const [mint, counts] of votes) {
+        let best = null;
+        for (const [d, n] of counts) if (best === null || n > counts.get(best)) best = d;
+        agreed.set(mint, best);
+    }
+    const kept = pools.filter(p =>
+        Number(p.baseDecimals) === agreed.get(p.baseMint) && Number(p.quoteDecimals) === agreed.get(p.quoteMint));
+    return { pools: kept, conflicts: pools.length - kept.length };
+}
+
 function normalizePool(raw) {
     const p = { ...raw };
     p.poolAddress = p.poolAddress || p.id || p.address || p.raw?.address;
@@ -54,6 +98,10 @@ function normalizePool(raw) {
     p.baseToken = { mint: p.baseMint, symbol: baseToken.symbol || p.baseSymbol || p.raw?.baseSymbol || '', decimals: p.baseDecimals };
     p.quoteToken = { mint: p.quoteMint, symbol: quoteToken.symbol || p.quoteSymbol || p.raw?.quoteSymbol || '', decimals: p.quoteDecimals };
 
+    // Token-2022 transfer fees supplied in pool JSON
+    if (baseToken.transferFee) p.baseToken.transferFee = baseToken.transferFee;
+    if (quoteToken.transferFee) p.quoteToken.transferFee = quoteToken.transferFee;
+
     // reserves (may be filled later)
     p.xReserve = p.xReserve ?? p.raw?.reserve_x_amount ?? p._original?.raw?.reserve_x_amount;
     p.yReserve = p.yReserve ?? p.raw?.reserve_y_amount ?? p._original?.raw?.reserve_y_amount;
@@ -69,14 +117,22 @@ function normalizePool(raw) {
     return p;
 }
 
+// Pool file: a plain array of pools, or a snapshot { timestamp, pools: [...] }. The snapshot
+// time (epoch ms, null if absent) is kept on each pool as _snapshotTimestamp so cached
+// reserves carry their real age.
 function loadPoolsFromFile(filePath) {
     const abs = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
     const rawTxt = fs.readFileSync(abs, 'utf8');
-    const arr = JSON.parse(rawTxt);
-    if (!Array.isArray(arr)) throw new Error(`Pool file is not an array: ${abs}`);
+    const parsed = JSON.parse(rawTxt);
+    const arr = Array.isArray(parsed) ? parsed : parsed?.pools;
+    if (!Array.isArray(arr)) throw new Error(`Pool file is not an array or { pools: [] } snapshot: ${abs}`);
+    const snapshotTimestamp = Array.isArray(parsed) ? null : toTimestampMs(parsed.timestamp);
 
     const pools = arr.map(normalizePool).filter(p => !!p.poolAddress && !!p.baseMint && !!p.quoteMint);
-    return { pools, abs };
+    for (const p of pools) {
+        if (p._snapshotTimestamp == null) p._snapshotTimestamp = snapshotTimestamp;
+    }
+    return { pools, abs, snapshotTimestamp };
 }
 
 /**
@@ -120,8 +176,8 @@ function floorAtomicFromHuman(human, decimals) {
 // -------------------------
 function tryLoadSdkAdapter(connection) {
     try {
-        // Optional. If it fails, engine still works with reserve-based CPMM approximation for dlmm/cpmm
-        // and will SKIP clmm/whirlpool pools.
+        // Optional. If it fails, engine still works with reserve-based math for dlmm/cpmm
+        // and tick-walking for clmm/whirlpool pools that carry sqrtPrice + segments.
         // Your loaderSDK.js can export { quoteSwap } or { simulateSwap } etc.
         const sdk = require('./utils/loaderSDK.js');
         if (sdk && typeof sdk.quoteSwap === 'function') {
@@ -160,13 +216,21 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, opts = {} })
     const hasReserves = pool.xReserve !== undefined && pool.yReserve !== undefined && D(pool.xReserve).gt(0) && D(pool.yReserve).gt(0);
     const type = (pool.type || '').toString().toLowerCase();
 
+    const isClmm = type === 'clmm' || type === 'whirlpool';
+
     // For CLMM/Whirlpool, prefer SDK (reserve-only CPMM is incorrect).
     const sdkAdapter = opts.sdkAdapter || null;
-    if ((type === 'clmm' || type === 'whirlpool') && sdkAdapter) {
-        const r = await sdkAdapter.quoteSwap({ pool, inputMint, outputMint, dxAtomic: dxA.toString() });
+    if (isClmm && sdkAdapter) {
+        // SDK quotes are pool-only: apply Token-2022 transfer fees around them.
+        const feeIn = getTransferFeeConfig(pool, dir.isReverse ? 'quote' : 'base');
+        const feeOut = getTransferFeeConfig(pool, dir.isReverse ? 'base' : 'quote');
+        const transferFeeInAtomic = computeTransferFee(feeIn, dxA);
+        const r = await sdkAdapter.quoteSwap({ pool, inputMint, outputMint, dxAtomic: dxA.minus(transferFeeInAtomic).toString() });
         // Expecting { dyAtomic, outDecimals, feePaidAtomic? } or { dyHuman, outDecimals }
         if (r && r.dyAtomic) {
-            const dyA = D(r.dyAtomic).floor();
+            const dyGross = D(r.dyAtomic).floor();
+            const transferFeeOutAtomic = computeTransferFee(feeOut, dyGross);
+            const dyA = dyGross.minus(transferFeeOutAtomic);
             const outDec = r.outDecimals ?? dir.outDecimals;
             const dyH = atomicToHuman(dyA, outDec);
             return {
@@ -181,21 +245,24 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, opts = {} })
                 feePaidHuman: r.feePaidHuman ? D(r.feePaidHuman) : D(0),
                 midPrice: r.midPrice ? D(r.midPrice) : D(0),
                 executionPrice: r.executionPrice ? D(r.executionPrice) : (atomicToHuman(dyA, outDec).div(atomicToHuman(dxA, dir.inDecimals))),
-                priceImpactPct: r.priceImpactPct ? D(r.priceImpactPct) : D(0)
+                priceImpactPct: r.priceImpactPct ? D(r.priceImpactPct) : D(0),
+                transferFeeInAtomic,
+                transferFeeOutAtomic
             };
         }
-        // If SDK failed, fall through to skip / reserve math if available.
+        // If SDK failed, fall through to tick math / reserve math if available.
     }
 
-    if (!hasReserves) return { ok: false, reason: 'missing_reserves' };
+    if (isClmm && !hasClmmState(pool)) return { ok: false, reason: 'missing_clmm_state' };
+    if (!isClmm && !hasReserves && !(type === 'dlmm' && hasDlmmBins(pool))) return { ok: false, reason: 'missing_reserves' };
 
-    // Reserve-based simulation (CPMM for cpmm/dlmm)
+    // Math simulation (CPMM for cpmm, invariant for stable, bins for dlmm, tick-walking for clmm/whirlpool)
     let sim;
     try {
         sim = await processSwap({
             pool,
             dx: dxA.toString(),
-            opts: { feeRate: pool.fee, isReverse: dir.isReverse }
+            opts: { isReverse: dir.isReverse, exact: !!opts.exact }
         });
     } catch (e) {
         return { ok: false, reason: `processSwap_failed:${e.message || e}` };
@@ -206,7 +273,7 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, opts = {} })
     const dyAtomic = floorAtomicFromHuman(dyHuman, dir.outDecimals);
 
     // Analytical costs in token-out
-    const cost = await computeTotalCostTokenOut(pool, dxA.toString(), { feeRate: pool.fee, isReverse: dir.isReverse });
+    const cost = await computeTotalCostTokenOut(pool, dxA.toString(), { isReverse: dir.isReverse, exact: !!opts.exact });
 
     return {
         ok: true,
@@ -221,15 +288,191 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, opts = {} })
         midPrice: D(sim.midPrice || 0),
         executionPrice: D(sim.executionPrice || 0),
         priceImpactPct: D(sim.priceImpactPct || 0),
+        // Token-2022 transfer fees deducted on the way into / out of the pool
+        transferFeeInAtomic: D(sim.meta?.transferFee?.inAtomic || 0),
+        transferFeeOutAtomic: D(sim.meta?.transferFee?.outAtomic || 0),
         cost
     };
 }
 
+// -------------------------
+// Route simulation + input sizing
+// -------------------------
+
+// Per-run memo of non-final legs keyed by (pool, input mint, dx). Triples that share a
+// prefix (same first pool, or same first two pools) start from the same input, so those
+// legs are simulated once. The last leg's input differs per triple and is never cached,
+// which bounds the memo by the number of distinct prefixes rather than by triples.
+function createLegMemo() {
+    return { entries: new Map(), hits: 0, simulated: 0 };
+}
+
+function simulateLegMemo(memo, args, cacheable) {
+    if (!memo) return simulateLeg(args);
+    const key = cacheable ? `${args.pool.poolAddress}|${args.inputMint}|${args.dxAtomic.toString()}` : null;
+    if (key && memo.entries.has(key)) {
+        memo.hits++;
+        return memo.entries.get(key);
+    }
+    memo.simulated++;
+    const pending = simulateLeg(args);
+    if (key) memo.entries.set(key, pending);
+    return pending;
+}
+
+/**
+ * Push dxAtomic through a cycle: pools[i] swaps mints[i] -> mints[i + 1].
+ * opts.legMemo (createLegMemo) reuses prefix legs already simulated in the same run.
+ * Returns { ok, legs, outputAtomic } or { ok: false, reason, legIndex }.
+ */
+async function simulateRoute({ pools, mints, dxAtomic, opts = {} }) {
+    const legs = [];
+    let dx = D(dxAtomic);
+    for (let i = 0; i < pools.length; i++) {
+        const leg = await simulateLegMemo(opts.legMemo, {
+            pool: pools[i], inputMint: mints[i], outputMint: mints[i + 1], dxAtomic: dx, opts
+        }, i < pools.length - 1);
+        if (!leg.ok) return { ok: false, reason: leg.reason, legIndex: i };
+        legs.push(leg);
+        dx = leg.dyAtomic;
+    }
+    return { ok: true, legs, outputAtomic: dx };
+}
+
+/**
+ * A chain of x*y=k legs composes to out(dx) = A*dx / (B + C*dx) (atomic units).
+ * Leg (reserveIn x, reserveOut y, fee f, g = 1 - f) maps (A, B, C) -> (g*y*A, x*B, x*C + g*A).
+ * f is the fee processSwap charges: the Raydium v4 account fraction when present, else pool.fee.
+ * Returns null when any leg is not a plain CPMM (other curves, transfer fees, exact/SDK quoting).
+ */
+function cpmmChainCoefficients(pools, mints) {
+    let A = D(1), B = D(1), C = D(0);
+    for (let i = 0; i < pools.length; i++) {
+        const p = pools[i];
+        if (p.type !== 'cpmm') return null;
+        if (getTransferFeeConfig(p, 'base') || getTransferFeeConfig(p, 'quote')) return null;
+        const dir = computeDirection(p, mints[i], mints[i + 1]);
+        if (!dir) return null;
+        const x = D(dir.isReverse ? p.yReserve : p.xReserve);
+        const y = D(dir.isReverse ? p.xReserve : p.yReserve);
+        if (x.lte(0) || y.lte(0)) return null;
+        const v4 = getRaydiumV4Fees(p);
+        const g = D(1).minus(v4 ? D(v4.swapFeeNumerator).div(v4.swapFeeDenominator) : D(p.fee || 0));
+        [A, B, C] = [g.mul(y).mul(A), x.mul(B), x.mul(C).plus(g.mul(A))];
+    }
+    return { A, B, C };
+}
+
+// Integer golden-section search for the max of f on [lo, hi]; returns the best point evaluated.
+async function goldenSectionMax(f, lo, hi, iterations) {
+    const invPhi = D(5).sqrt().minus(1).div(2);
+    const seen = new Map();
+    const evalAt = async (x) => {
+        const k = x.toString();
+        if (!seen.has(k)) seen.set(k, await f(x));
+        return seen.get(k);
+    };
+
+    let a = lo, b = hi;
+    let c = b.minus(b.minus(a).mul(invPhi)).floor();
+    let d = a.plus(b.minus(a).mul(invPhi)).floor();
+    let fc = await evalAt(c);
+    let fd = await evalAt(d);
+    for (let i = 0; i < iterations && b.minus(a).gt(2); i++) {
+        if (fc.gte(fd)) {
+            b = d; d = c; fd = fc;
+            c = b.minus(b.minus(a).mul(invPhi)).floor();
+            fc = await evalAt(c);
+        } else {
+            a = c; c = d; fc = fd;
+            d = a.plus(b.minus(a).mul(invPhi)).floor();
+            fd = await evalAt(d);
+        }
+    }
+
+    let best = null;
+    for (const [k, v] of seen) {
+        if (!best || v.gt(best.value)) best = { x: D(k), value: v };
+    }
+    return { ...best, evaluations: seen.size };
+}
+
+/**
+ * Find the input size that maximizes absolute profit (start-token atomic units) of a cycle.
+ * All-CPMM chains use the closed form dx* = (sqrt(A*B) - B) / C; anything else (stable, DLMM,
+ * CLMM, transfer fees, exact/SDK quoting) uses a bounded golden-section search on [min, max].
+ * optimalInputAtomic is '0' when no size in range makes a profit.
+ */
+async function optimizeRouteInput({ pools, mints, minInputAtomic = 1, maxInputAtomic, iterations = 40, opts = {} }) {
+    const lo = Decimal.max(1, D(minInputAtomic).floor());
+    const hi = D(maxInputAtomic || 0).floor();
+    if (hi.lte(lo)) throw new Error('optimizeRouteInput: maxInputAtomic must be > minInputAtomic');
+
+    const profitAt = async (dx) => {
+        const r = await simulateRoute({ pools, mints, dxAtomic: dx, opts });
+        return r.ok ? r.outputAtomic.minus(dx) : D(-Infinity);
+    };
+
+    let method = 'golden_section';
+    let best = null;
+    const coef = (opts.exact || opts.sdkAdapter) ? null : cpmmChainCoefficients(pools, mints);
+    if (coef) {
+        method = 'closed_form';
+        // marginal rate at dx=0 is A/B: no profitable size unless it exceeds 1
+        if (coef.A.lte(coef.B)) return { ok: true, method, optimalInputAtomic: '0', outputAtomic: '0', profitAtomic: '0', profitPct: '0', evaluations: 0 };
+        const x = Decimal.min(hi, Decimal.max(lo, coef.A.mul(coef.B).sqrt().minus(coef.B).div(coef.C).floor()));
+        const value = await profitAt(x);
+        if (value.isFinite()) best = { x, value, evaluations: 1 };
+    }
+    if (!best) {
+        method = 'golden_section';
+        best = await goldenSectionMax(profitAt, lo, hi, iterations);
+    }
+
+    if (!best || !best.value.isFinite() || best.value.lte(0)) {
+        return { ok: true, method, optimalInputAtomic: '0', outputAtomic: '0', profitAtomic: '0', profitPct: '0', evaluations: best ? best.evaluations : 0 };
+    }
+    return {
+        ok: true,
+        method,
+        optimalInputAtomic: best.x.toFixed(0),
+        outputAtomic: best.x.plus(best.value).toFixed(0),
+        profitAtomic: best.value.toFixed(0),
+        profitPct: best.value.div(best.x).mul(100).toString(),
+        evaluations: best.evaluations
+    };
+}
+
 // -------------------------
 // Triangular search
 // -------------------------
+// Depth used to rank pools of the same pair. TVL (USD) from the pool JSON is the one figure
+// every pool kind carries (CLMM tick state and bins-only DLMM have no reserves), so it
+// decides; pools without a TVL figure rank after those with one, by the geometric mean
+// of their human reserves.
+function poolTvl(p) {
+    const v = p.tvl?.tvl ?? p.tvl ?? p.liquidity?.tvl ?? p.liquidityUsd ?? p.liquidity_usd ?? p._original?.liquidity?.tvl ?? p.raw?.tvl;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? D(n) : null;
+}
+
+function poolDepthScore(p) {
+    const tvl = poolTvl(p);
+    if (tvl) return { tvl, reserves: D(0) };
+    try {
+        if (p.xReserve && p.yReserve) {
+            const x = atomicToHuman(p.xReserve, p.baseDecimals);
+            const y = atomicToHuman(p.yReserve, p.quoteDecimals);
+            if (x.gt(0) && y.gt(0)) return { tvl: null, reserves: x.mul(y).sqrt() };
+        }
+    } catch {
+        // unparsable reserves rank as empty
+    }
+    return { tvl: null, reserves: D(0) };
+}
+
 function indexPools(pools) {
-    // Map mintPairKey => pools
+    // Map mintPairKey => pools, deepest first so per-pair caps keep the best pools
     const byPair = new Map();
     for (const p of pools) {
         const a = p.baseMint;
@@ -242,41 +485,363 @@ function indexPools(pools) {
         byPair.get(key1).push(p);
         byPair.get(key2).push(p);
     }
+    const scores = new Map(pools.map(p => [p, poolDepthScore(p)]));
+    for (const arr of byPair.values()) {
+        arr.sort((p, q) => {
+            const a = scores.get(p), b = scores.get(q);
+            if (a.tvl && b.tvl) return b.tvl.cmp(a.tvl);
+            if (a.tvl || b.tvl) return a.tvl ? -1 : 1;
+            return b.reserves.cmp(a.reserves);
+        });
+    }
     return byPair;
 }
 
-async function findTriangularArbitrage({
-    pools,
-    connection,
-    amountInAtomic,
-    tokenA = MINT_SOL,
-    tokenC = MINT_USDC,
-    thresholdPct = 0.1,
-    maxRoutes = 200,
-    sdkFallback = true,
-    logRoutes = false,
-    logLegs = false
-} = {}) {
-    const tokenASet = new Set([tokenA, MINT_WSOL]);
-    const tokenCSet = new Set([tokenC]);
-
-    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
-
-    const usable = (pools || []).filter(p => {
+// Pools the math (or the SDK adapter) can quote
+function filterUsablePools(pools, sdkAdapter) {
+    return (pools || []).filter(p => {
         if (!p.poolAddress || !p.baseMint || !p.quoteMint) return false;
         if (!Number.isFinite(Number(p.fee))) p.fee = 0;
         // Require decimals
         if (p.baseDecimals === undefined || p.quoteDecimals === undefined) return false;
         // Reserve requirement: for math types
-        if ((p.type === 'cpmm' || p.type === 'dlmm') && !(p.xReserve && p.yReserve)) return false;
-        // clmm/whirlpool: allowed only if sdk is present
-        if ((p.type === 'clmm' || p.type === 'whirlpool') && !sdkAdapter) return false;
+        if ((p.type === 'cpmm' || p.type === 'stable') && !(p.xReserve && p.yReserve)) return false;
+        if (p.type === 'dlmm' && !(p.xReserve && p.yReserve) && !hasDlmmBins(p)) return false;
+        // clmm/whirlpool: allowed if sdk is present or tick state is on the pool
+        if ((p.type === 'clmm' || p.type === 'whirlpool') && !sdkAdapter && !hasClmmState(p)) return false;
         return true;
     });
+}
 
-    const byPair = indexPools(usable);
+// -------------------------
+// Mid-price route prefilter
+// The marginal rate after pool and transfer fees (human token-out per token-in) bounds what any
+// size can get out of a pool direction, so a route whose product of marginal rates is below
+// 1 + thresholdPct cannot pass and need not be simulated.
+// -------------------------
+async function marginalRate(pool, isReverse) {
+    const sim = await processSwap({ pool, dx: '1', opts: { isReverse } });
+    const mid = D(sim.midPrice || 0);
+    if (!mid.isFinite() || mid.lte(0)) return null;
+    let rate = mid.mul(D(1).minus(D(sim.meta?.feeRate ?? pool.fee ?? 0)));
+    for (const side of ['base', 'quote']) {
+        const cfg = getTransferFeeConfig(pool, side);
+        if (cfg) rate = rate.mul(D(1).minus(D(cfg.transferFeeBasisPoints).div(10000)));
+    }
+    return rate.gt(0) ? rate : null;
+}
+
+// Product of marginal rates along the route; null when some leg cannot be priced.
+// rateCache: Map keyed by pool object -> { forward, reverse } promises.
+async function routeMidEdge(pools, mints, rateCache) {
+    let product = D(1);
+    for (let i = 0; i < pools.length; i++) {
+        const pool = pools[i];
+        const isReverse = pool.baseMint !== mints[i];
+        if (!rateCache.has(pool)) rateCache.set(pool, {});
+        const entry = rateCache.get(pool);
+        const dir = isReverse ? 'reverse' : 'forward';
+        if (!entry[dir]) entry[dir] = marginalRate(pool, isReverse).catch(() => null);
+        const rate = await entry[dir];
+        if (!rate) return null;
+        product = product.mul(rate);
+    }
+    return product;
+}
+
+/**
+ * Analytical costs (fee + slippage vs mid) of every leg, in start-token HUMAN units.
+ * Leg 1 costs (token-out = 2nd token) go back through leg 1's mid price; every later
+ * leg's costs go forward through the mid prices of the legs after it (the last leg is
+ * already in the start token).
+ */
+function legCostsInStartToken(legs) {
+    let costsA = D(0);
+    try {
+        legs.forEach((leg, i) => {
+            const c = leg.cost?.totalCostTokenOutHuman ? D(leg.cost.totalCostTokenOutHuman) : D(0);
+            if (c.lte(0)) return;
+            if (i === 0) {
+                if (leg.midPrice.gt(0)) costsA = costsA.plus(c.div(leg.midPrice));
+                return;
+            }
+            let rate = D(1);
+            for (const next of legs.slice(i + 1)) rate = rate.mul(next.midPrice);
+            if (rate.gt(0)) costsA = costsA.plus(c.mul(rate));
+        });
+    } catch {
+        costsA = D(0);
+    }
+    return costsA;
+}
+
+/**
+ * Simulate one cycle at dxA and build the route record.
+ * Returns null when a leg cannot be simulated.
+ */
+async function evaluateRoute({
+    pools, mints, dxA, startDecimals, startUsdPrice = null, execution = null, thresholdPct, opts = {}, log = {}
+}) {
+    const sim = await simulateRoute({ pools, mints, dxAtomic: dxA, opts });
+    if (!sim.ok) return null;
+
+    const outA = sim.outputAtomic;
+    const profitA = outA.minus(dxA);
+    const profitPct = profitA.div(dxA).mul(100);
+
+    const costsA = legCostsInStartToken(sim.legs);
+    const outAHuman = atomicToHuman(outA, startDecimals);
+    const inAHuman = atomicToHuman(dxA, startDecimals);
+    const netBeforeExecutionHuman = outAHuman.minus(costsA);
+    const netBeforeExecutionPct = netBeforeExecutionHuman.minus(inAHuman).div(inAHuman).mul(100);
+
+    // execution = { model, startPerSol }: transaction costs in lamports, converted to the start token
+    let executionCost = null;
+    let netAfterCostsHuman = netBeforeExecutionHuman;
+    if (execution) {
+        executionCost = execution.model.estimate(pools);
+        const costHuman = D(executionCost.totalLamports).div(LAMPORTS_PER_SOL).mul(execution.startPerSol);
+        executionCost.startTokenHuman = costHuman.toString();
+        netAfterCostsHuman = netAfterCostsHuman.minus(costHuman);
+    }
+    const netAfterCostsPct = netAfterCostsHuman.minus(inAHuman).div(inAHuman).mul(100);
+    const profitHuman = atomicToHuman(profitA, startDecimals);
+
+    const passes = netAfterCostsPct.gte(thresholdPct);
+
+    if (log.routes) {
+        console.log(`\nRoute ${mints.length - 1} hops: ${mints.map(shortMint).join(' -> ')}`);
+        console.log(` Pools: ${pools.map(p => p.poolAddress.slice(0, 8)).join(' -> ')}`);
+        console.log(` ProfitPct=${profitPct.toFixed(6)}  NetAfterCostsPct=${netAfterCostsPct.toFixed(6)}  passes=${passes}`);
+    }
+    if (log.legs) {
+        sim.legs.forEach((leg, i) => console.log(` LEG${i + 1}`, leg));
+    }
+
+    return {
+        tokenA: mints[0],
+        tokenB: mints[1],
+        tokenC: mints.length > 3 ? mints[2] : undefined,
+        path: mints,
+        hops: pools.length,
+        pools,
+        legs: sim.legs,
+        startDecimals,
+        inputAtomic: dxA.toString(),
+        outputAtomic: outA.toString(),
+        profitAtomic: profitA.toString(),
+        profitHuman: profitHuman.toString(),
+        profitUsd: startUsdPrice != null ? profitHuman.mul(D(startUsdPrice)).toString() : null,
+        profitPct: profitPct.toString(),
+        netBeforeExecutionPct: netBeforeExecutionPct.toString(),
+        executionCost,
+        netAfterCostsPct: netAfterCostsPct.toString(),
+        passes
+    };
+}
+
+async function attachOptimalSize(route, { maxInputAtomic, iterations, opts }) {
+    const opt = await optimizeRouteInput({ pools: route.pools, mints: route.path, maxInputAtomic, iterations, opts });
+    route.optimalInputAtomic = opt.optimalInputAtomic;
+    route.optimalOutputAtomic = opt.outputAtomic;
+    route.optimalProfitAtomic = opt.profitAtomic;
+    route.optimalProfitPct = opt.profitPct;
+    route.sizeOptimizer = opt.method;
+    return route;
+}
+
+/**
+ * Re-evaluate the route at each size (ascending) and attach
+ *   route.profitCurve: [{ inputAtomic, outputAtomic, profitAtomic, profitHuman, profitPct, netAfterCostsPct, passes }]
+ *     (a size that cannot be simulated gets { inputAtomic, ok: false })
+ *   route.profitableBand: { minInputAtomic, maxInputAtomic } of the widest run of consecutive
+ *     sizes with passes = true, or null.
+ */
+async function attachProfitCurve(route, { sizesAtomic, thresholdPct, execution = null, opts }) {
+    const sizes = Array.from(new Set((sizesAtomic || []).map(a => D(a).floor().toString())))
+        .map(a => D(a))
+        .filter(a => a.gt(0))
+        .sort((a, b) => a.cmp(b));
+
+    const curve = [];
+    for (const dxA of sizes) {
+        const r = await evaluateRoute({
+            pools: route.pools,
+            mints: route.path,
+            dxA,
+            startDecimals: route.startDecimals,
+            execution,
+            thresholdPct,
+            opts
+        });
+        curve.push(r ? {
+            inputAtomic: r.inputAtomic,
+            outputAtomic: r.outputAtomic,
+            profitAtomic: r.profitAtomic,
+            profitHuman: r.profitHuman,
+            profitPct: r.profitPct,
+            netAfterCostsPct: r.netAfterCostsPct,
+            passes: r.passes
+        } : { inputAtomic: dxA.toString(), ok: false });
+    }
+
+    let band = null;
+    let runStart = -1;
+    curve.forEach((pt, i) => {
+        if (!pt.passes) {
+            runStart = -1;
+            return;
+        }
+        if (runStart < 0) runStart = i;
+        if (!band || i - runStart > band.len) band = { start: runStart, len: i - runStart };
+    });
+
+    route.profitCurve = curve;
+    route.profitableBand = band
+        ? { minInputAtomic: curve[band.start].inputAtomic, maxInputAtomic: curve[band.start + band.len].inputAtomic }
+        : null;
+    return route;
+}
+
+// Post-selection extras for the kept routes: optimal size and/or profit curve.
+// executionFor(route) supplies the execution-cost setup the route was evaluated with.
+async function decorateRoutes(routes, {
+    optimizeSize, maxInputAtomic, optimizeIterations, curveSizesAtomic, thresholdPct, executionFor = null, opts
+}) {
+    for (const route of routes) {
+        if (optimizeSize) {
+            await attachOptimalSize(route, {
+                maxInputAtomic: maxInputAtomic ?? D(route.inputAtomic).mul(10),
+                iterations: optimizeIterations,
+                opts
+            });
+        }
+        if (curveSizesAtomic) {
+            const execution = executionFor ? executionFor(route) : null;
+            await attachProfitCurve(route, { sizesAtomic: curveSizesAtomic, thresholdPct, execution, opts });
+        }
+    }
+    return routes;
+}
+
+// -------------------------
+// Bounded concurrency with a deadline / AbortSignal
+// -------------------------
+
+/**
+ * Run worker(item) over an iterable with at most `concurrency` calls in flight. No new item
+ * is started once the signal aborts or Date.now() passes `deadline`; in-flight calls
+ * finish. Items never started are drained and counted as skipped.
+ * A worker that throws stops the other lanes the same way; the first error is rethrown
+ * once every in-flight call has settled.
+ * Returns { started, skipped, stoppedBy: null | 'aborted' | 'deadline' }.
+ */
+async function runBounded(items, worker, { concurrency = 1, deadline = null, signal = null } = {}) {
+    const it = items[Symbol.iterator]();
+    let started = 0;
+    let stoppedBy = null;
+    let failure = null; // { error } of the first worker that threw
+
+    const stopReason = () => {
+        if (signal?.aborted) return 'aborted';
+        if (deadline !== null && Date.now() >= deadline) return 'deadline';
+        return null;
+    };
+
+    async function lane() {
+        while (!stoppedBy) {
+            stoppedBy = stopReason();
+            if (stoppedBy) return;
+            const next = it.next();
+            if (next.done) return;
+            started++;
+            try {
+                await worker(next.value);
+            } catch (error) {
+                if (!failure) failure = { error };
+                stoppedBy = 'error';
+                return;
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.floor(concurrency) || 1) }, lane));
+    if (failure) throw failure.error;
+
+    let skipped = 0;
+    if (stoppedBy) while (!it.next().done) skipped++;
+    return { started, skipped, stoppedBy };
+}
+
+// -------------------------
+// Top-K route selection
+// -------------------------
+
+// Bounded min-heap keeping the K best routes by netAfterCostsPct; the root is the worst kept.
+// Counts every offered route as evaluated / passing / discarded.
+class TopRoutes {
+    constructor(k) {
+        this.k = Math.max(0, Math.floor(k));
+        this.heap = []; // [{ score, route }]
+        this.evaluated = 0;
+        this.passing = 0;
+        this.discarded = 0;
+    }
+
+    offer(route) {
+        this.evaluated++;
+        if (route.passes) this.passing++;
+        const node = { score: D(route.netAfterCostsPct), route };
+        if (this.heap.length < this.k) {
+            this.heap.push(node);
+            this._up(this.heap.length - 1);
+            return;
+        }
+        this.discarded++;
+        if (this.k === 0 || !node.score.gt(this.heap[0].score)) return;
+        this.heap[0] = node;
+        this._down(0);
+    }
+
+    sorted() {
+        return this.heap.slice().sort((a, b) => b.score.cmp(a.score)).map(n => n.route);
+    }
+
+    counters() {
+        return { evaluated: this.evaluated, passing: this.passing, discarded: this.discarded };
+    }
+
+    _up(i) {
+        const h = this.heap;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!h[i].score.lt(h[parent].score)) break;
+            [h[i], h[parent]] = [h[parent], h[i]];
+            i = parent;
+        }
+    }
+
+    _down(i) {
+        const h = this.heap;
+        for (;;) {
+            const l = 2 * i + 1, r = l + 1;
+            let min = i;
+            if (l < h.length && h[l].score.lt(h[min].score)) min = l;
+            if (r < h.length && h[r].score.lt(h[min].score)) min = r;
+            if (min === i) return;
+            [h[i], h[min]] = [h[min], h[i]];
+            i = min;
+        }
+    }
+}
+
+// A -> B -> C -> A candidates: B is any token pooled with A (other than C) that also
+// reaches C, with at most maxPoolsPerPair pools tried per leg. Every pool triple is
+// yielded in both orientations: 'forward' (A -> B -> C -> A) and 'reverse' (A -> C -> B -> A).
+function* enumerateTriangularRoutes({ byPair, usable, tokenA, tokenC, maxPoolsPerPair = 30 }) {
+    const tokenASet = new Set([tokenA, MINT_WSOL]);
+    const tokenCSet = new Set([tokenC]);
 
-    // Candidate B tokens are those that connect A<->B and B<->C and C<->A exists.
     const bCandidates = new Set();
     for (const p of usable) {
         const a = p.baseMint, b = p.quoteMint;
@@ -290,127 +855,689 @@ async function findTriangularArbitrage({
 
     const tokenAList = Array.from(tokenASet);
 
-    const routes = [];
-    const dxA = D(amountInAtomic || 0).floor();
-    if (dxA.lte(0)) throw new Error('amountInAtomic must be > 0');
-
     for (const bMint of bCandidates) {
         // Pools for A<->B, B<->C, C<->A
         const poolsAB = [];
-        for (const aMint of tokenAList) {
-            const key = `${aMint}-${bMint}`;
-            const arr = byPair.get(key) || [];
-            poolsAB.push(...arr);
-        }
+        for (const aMint of tokenAList) poolsAB.push(...(byPair.get(`${aMint}-${bMint}`) || []));
         const poolsBC = byPair.get(`${bMint}-${tokenC}`) || [];
         const poolsCA = [];
-        for (const aMint of tokenAList) {
-            const key = `${tokenC}-${aMint}`;
-            const arr = byPair.get(key) || [];
-            poolsCA.push(...arr);
-        }
+        for (const aMint of tokenAList) poolsCA.push(...(byPair.get(`${tokenC}-${aMint}`) || []));
 
         if (poolsAB.length === 0 || poolsBC.length === 0 || poolsCA.length === 0) continue;
 
         // Limit combinations to keep search bounded
-        const capAB = poolsAB.slice(0, 30);
-        const capBC = poolsBC.slice(0, 30);
-        const capCA = poolsCA.slice(0, 30);
+        const capAB = poolsAB.slice(0, maxPoolsPerPair);
+        const capBC = poolsBC.slice(0, maxPoolsPerPair);
+        const capCA = poolsCA.slice(0, maxPoolsPerPair);
 
         for (const p1 of capAB) {
+            const aMint = tokenASet.has(p1.baseMint) ? p1.baseMint : (tokenASet.has(p1.quoteMint) ? p1.quoteMint : tokenA);
             for (const p2 of capBC) {
                 for (const p3 of capCA) {
-                    if (routes.length >= maxRoutes) break;
-
-                    // Run legs: A -> B -> C -> A
-                    const aMint = tokenASet.has(p1.baseMint) ? p1.baseMint : (tokenASet.has(p1.quoteMint) ? p1.quoteMint : tokenA);
-                    const leg1 = await simulateLeg({ pool: p1, inputMint: aMint, outputMint: bMint, dxAtomic: dxA, opts: { sdkAdapter } });
-                    if (!leg1.ok) continue;
-
-                    const leg2 = await simulateLeg({ pool: p2, inputMint: bMint, outputMint: tokenC, dxAtomic: leg1.dyAtomic, opts: { sdkAdapter } });
-                    if (!leg2.ok) continue;
-
-                    const leg3 = await simulateLeg({ pool: p3, inputMint: tokenC, outputMint: aMint, dxAtomic: leg2.dyAtomic, opts: { sdkAdapter } });
-                    if (!leg3.ok) continue;
-
-                    const outA = leg3.dyAtomic;
-                    const profitA = outA.minus(dxA);
-                    const profitPct = profitA.div(dxA).mul(100);
-
-                    // Analytical costs: sum totalCost in token-out per leg, converted to tokenA where possible:
-                    // For simplicity, we estimate costs in tokenA by:
-                    // - Leg1 costs are in B (token-out), convert to A using leg1.midPrice (B per A)
-                    // - Leg2 costs are in C, convert to A using leg3.midPrice (A per C) or inverse of leg3.midPrice? leg3 midPrice is A per C (since input=C out=A), so ok.
-                    // - Leg3 costs already in A.
-                    let costsA = D(0);
-                    try {
-                        // Leg1 cost token-out=B. Convert B->A by dividing by midPrice (B per A)
-                        const c1 = leg1.cost?.totalCostTokenOutHuman ? D(leg1.cost.totalCostTokenOutHuman) : D(0);
-                        if (c1.gt(0) && leg1.midPrice.gt(0)) {
-                            costsA = costsA.plus(c1.div(leg1.midPrice));
-                        }
-                        // Leg2 cost token-out=C. Convert C->A by multiplying by (A per C) == leg3.midPrice (because leg3 input=C out=A)
-                        const c2 = leg2.cost?.totalCostTokenOutHuman ? D(leg2.cost.totalCostTokenOutHuman) : D(0);
-                        if (c2.gt(0) && leg3.midPrice.gt(0)) {
-                            costsA = costsA.plus(c2.mul(leg3.midPrice));
-                        }
-                        // Leg3 cost token-out=A already
-                        const c3 = leg3.cost?.totalCostTokenOutHuman ? D(leg3.cost.totalCostTokenOutHuman) : D(0);
-                        costsA = costsA.plus(c3);
-                    } catch {
-                        costsA = D(0);
-                    }
-
-                    const outAHuman = atomicToHuman(outA, 9); // SOL decimals (assumes tokenA is SOL/WSOL)
-                    const inAHuman = atomicToHuman(dxA, 9);
-                    const netAfterCostsHuman = outAHuman.minus(costsA);
-                    const netAfterCostsPct = netAfterCostsHuman.minus(inAHuman).div(inAHuman).mul(100);
-
-                    const passes = netAfterCostsPct.gte(thresholdPct);
-
-                    if (logRoutes) {
-                        console.log(`\nRoute A->B->C->A: ${shortMint(aMint)} -> ${shortMint(bMint)} -> ${shortMint(tokenC)} -> ${shortMint(aMint)}`);
-                        console.log(` Pools: ${p1.poolAddress.slice(0, 8)} -> ${p2.poolAddress.slice(0, 8)} -> ${p3.poolAddress.slice(0, 8)}`);
-                        console.log(` ProfitPct=${profitPct.toFixed(6)}  NetAfterCostsPct=${netAfterCostsPct.toFixed(6)}  passes=${passes}`);
-                    }
-                    if (logLegs) {
-                        console.log(' LEG1', leg1);
-                        console.log(' LEG2', leg2);
-                        console.log(' LEG3', leg3);
-                    }
-
-                    routes.push({
-                        tokenA: aMint,
-                        tokenB: bMint,
-                        tokenC,
-                        pools: [p1, p2, p3],
-                        legs: [leg1, leg2, leg3],
-                        inputAtomic: dxA.toString(),
-                        outputAtomic: outA.toString(),
-                        profitPct: profitPct.toString(),
-                        netAfterCostsPct: netAfterCostsPct.toString(),
-                        passes
+                    yield { pools: [p1, p2, p3], mints: [aMint, bMint, tokenC, aMint], direction: 'forward' };
+                    yield { pools: [p3, p2, p1], mints: [aMint, tokenC, bMint, aMint], direction: 'reverse' };
+                }
+            }
+        }
+    }
+}
+
+// Human start-token amount worth 1 SOL: 1 for SOL itself, the explicit override, else the
+// mid price of the deepest SOL/start pool. Needed to express lamport costs in the start token.
+async function resolveStartTokenPerSol(byPair, mint, explicit = null) {
+    if (mint === MINT_WSOL) return D(1);
+    if (explicit != null) return D(explicit);
+    for (const pool of byPair.get(`${MINT_WSOL}-${mint}`) || []) {
+        try {
+            const sim = await processSwap({ pool, dx: '1', opts: { isReverse: pool.baseMint !== MINT_WSOL } });
+            const mid = D(sim.midPrice || 0);
+            if (mid.isFinite() && mid.gt(0)) return mid;
+        } catch {
+            // try the next SOL pool
+        }
+    }
+    throw new Error(`resolveStartTokenPerSol: no SOL price for ${mint}; pass startTokenPerSol`);
+}
+
+/**
+ * A -> B -> C -> A search over every candidate within deadlineMs / signal, keeping the best
+ * maxRoutes by netAfterCostsPct (desc). Both orientations of every pool triple are
+ * evaluated (route.direction 'forward' | 'reverse'); prefix legs shared between triples are
+ * simulated once through a memo.
+ * routes.stats = { evaluated, passing, discarded, prefiltered, failed, skipped, stoppedBy,
+ * legsSimulated, legsReused, poolsBelowMinSlot, decimalConflicts }.
+ * executionCost (a createExecutionCostModel options object, or a model with estimate(pools))
+ * deducts transaction costs from netAfterCostsPct, so passes is post-cost.
+ * minReserveSlot leaves out pools whose _reserveSlot is missing or older (stats.poolsBelowMinSlot).
+ * Pools that disagree on a mint's decimals are left out too (stats.decimalConflicts).
+ */
+async function findTriangularArbitrage({
+    pools,
+    connection,
+    amountInAtomic,
+    tokenA = MINT_SOL,
+    tokenC = MINT_USDC,
+    thresholdPct = 0.1,
+    maxRoutes = 200,
+    startTokenUsdPrice = null, // USD per human tokenA; adds profitUsd to routes
+    sdkFallback = true,
+    exact = false, // on-chain-exact integer math per leg (see processSwap opts.exact)
+    optimizeSize = false, // also solve the profit-maximizing input per route
+    maxInputAtomic = null, // optimizer upper bound (default 10x amountInAtomic)
+    optimizeIterations = 40,
+    curveSizesAtomic = null, // start-token sizes for the per-route profit curve
+    maxPoolsPerPair = 30, // deepest pools kept per leg pair
+    minReserveSlot = null, // every leg's reserves must have been read at this slot or later
+    executionCost = null, // lamport costs per transaction (see executionCostModel.js)
+    startTokenPerSol = null, // human tokenA per SOL for execution costs (default: SOL pool mid price)
+    midPricePrefilter = false, // skip triples whose mid-price product after fees cannot reach thresholdPct
+    concurrency = 1, // routes simulated in parallel (useful when legs hit the SDK/RPC)
+    deadlineMs = null, // wall-clock budget; candidates not started by then are skipped
+    signal = null, // AbortSignal; stops starting new candidates
+    logRoutes = false,
+    logLegs = false
+} = {}) {
+    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
+
+    const math = filterUsablePools(pools, sdkAdapter);
+    const fresh = minReserveSlot == null
+        ? math
+        : math.filter(p => p._reserveSlot != null && p._reserveSlot >= minReserveSlot);
+    const { pools: usable, conflicts: decimalConflicts } = dropDecimalConflicts(fresh);
+
+    const byPair = indexPools(usable);
+
+    const top = new TopRoutes(maxRoutes);
+    const dxA = D(amountInAtomic || 0).floor();
+    if (dxA.lte(0)) throw new Error('amountInAtomic must be > 0');
+
+    const startDecimals = new Map();
+    const costModel = executionCost && typeof executionCost.estimate !== 'function'
+        ? createExecutionCostModel(executionCost)
+        : executionCost;
+    const executions = new Map(); // start mint -> Promise<{ model, startPerSol }>
+    const executionFor = (mint) => {
+        if (!costModel) return null;
+        if (!executions.has(mint)) {
+            executions.set(mint, resolveStartTokenPerSol(byPair, mint, startTokenPerSol).then(startPerSol => ({ model: costModel, startPerSol })));
+        }
+        return executions.get(mint);
+    };
+    const rateCache = new Map();
+    const legMemo = createLegMemo();
+    const minEdge = D(1).plus(D(thresholdPct).div(100));
+    let failed = 0;
+    let prefiltered = 0;
+    const evaluateCandidate = async (candidate) => {
+        if (midPricePrefilter) {
+            const edge = await routeMidEdge(candidate.pools, candidate.mints, rateCache);
+            if (edge && edge.lt(minEdge)) {
+                prefiltered++;
+                return;
+            }
+        }
+
+        // Run legs: A -> B -> C -> A (or A -> C -> B -> A for the reverse orientation)
+        const aMint = candidate.mints[0];
+        if (!startDecimals.has(aMint)) startDecimals.set(aMint, resolveMintDecimals(usable, aMint));
+        const route = await evaluateRoute({
+            ...candidate,
+            dxA,
+            startDecimals: startDecimals.get(aMint),
+            startUsdPrice: aMint === tokenA ? startTokenUsdPrice : null, // priced for tokenA only
+            execution: await executionFor(aMint),
+            thresholdPct,
+            opts: { sdkAdapter, exact, legMemo },
+            log: { routes: logRoutes, legs: logLegs }
+        });
+        if (!route) {
+            failed++;
+            return;
+        }
+        route.direction = candidate.direction;
+        top.offer(route);
+    };
+
+    const candidates = enumerateTriangularRoutes({ byPair, usable, tokenA, tokenC, maxPoolsPerPair });
+    const run = await runBounded(candidates, evaluateCandidate, {
+        concurrency,
+        deadline: deadlineMs != null ? Date.now() + deadlineMs : null,
+        signal
+    });
+
+    // best maxRoutes by netAfterCostsPct desc; size optimization only for the kept ones
+    const routes = top.sorted();
+    const executionByMint = new Map();
+    for (const [mint, pending] of executions) executionByMint.set(mint, await pending);
+    await decorateRoutes(routes, {
+        optimizeSize,
+        maxInputAtomic,
+        optimizeIterations,
+        curveSizesAtomic,
+        thresholdPct,
+        executionFor: (route) => executionByMint.get(route.tokenA) ?? null,
+        opts: { sdkAdapter, exact }
+    });
+    routes.stats = {
+        ...top.counters(),
+        prefiltered,
+        failed,
+        skipped: run.skipped,
+        stoppedBy: run.stoppedBy,
+        legsSimulated: legMemo.simulated,
+        legsReused: legMemo.hits,
+        poolsBelowMinSlot: math.length - fresh.length,
+        decimalConflicts
+    };
+    return routes;
+}
+
+// -------------------------
+// Persistent route index (incremental re-evaluation)
+// -------------------------
+
+/**
+ * Compiled candidate routes plus a poolAddress -> routes reverse map. Routes hold the
+ * indexed pool objects, so applyPoolUpdates() patches those in place and re-simulates
+ * only the routes that touch an updated pool; ranked() returns the current results.
+ */
+class RouteIndex {
+    constructor({ amountInAtomic, thresholdPct = 0.1, startTokenUsdPrice = null, opts = {} } = {}) {
+        this.dxA = D(amountInAtomic || 0).floor();
+        if (this.dxA.lte(0)) throw new Error('RouteIndex: amountInAtomic must be > 0');
+        this.thresholdPct = thresholdPct;
+        this.startTokenUsdPrice = startTokenUsdPrice;
+        this.opts = opts;
+
+        this.routes = new Map(); // routeId -> { pools, mints, startDecimals }
+        this.results = new Map(); // routeId -> evaluateRoute record
+        this.byPool = new Map(); // poolAddress -> Set(routeId)
+        this.pools = new Map(); // poolAddress -> pool
+    }
+
+    get size() { return this.routes.size; }
+
+    addRoute({ pools, mints, direction }) {
+        const id = `${mints[0]}:${pools.map(p => p.poolAddress).join('>')}`;
+        if (this.routes.has(id)) return id;
+        for (const p of pools) {
+            if (!this.pools.has(p.poolAddress)) this.pools.set(p.poolAddress, p);
+            if (!this.byPool.has(p.poolAddress)) this.byPool.set(p.poolAddress, new Set());
+            this.byPool.get(p.poolAddress).add(id);
+        }
+        this.routes.set(id, {
+            pools: pools.map(p => this.pools.get(p.poolAddress)),
+            mints,
+            direction,
+            startDecimals: mintDecimals(pools[0], mints[0])
+        });
+        return id;
+    }
+
+    routesForPool(poolAddress) {
+        return Array.from(this.byPool.get(poolAddress) || []);
+    }
+
+    // Re-simulate the given routes (all by default); a route that no longer simulates drops out
+    async evaluate(ids = this.routes.keys()) {
+        let evaluated = 0;
+        for (const id of ids) {
+            const def = this.routes.get(id);
+            if (!def) continue;
+            evaluated++;
+            const route = await evaluateRoute({
+                pools: def.pools,
+                mints: def.mints,
+                dxA: this.dxA,
+                startDecimals: def.startDecimals,
+                startUsdPrice: this.startTokenUsdPrice,
+                thresholdPct: this.thresholdPct,
+                opts: this.opts
+            });
+            if (route) this.results.set(id, { ...route, direction: def.direction, routeId: id });
+            else this.results.delete(id);
+        }
+        return evaluated;
+    }
+
+    /**
+     * updates: iterable of { poolAddress, ...fields } (e.g. fresh xReserve/yReserve or tick state).
+     * Unknown pools are ignored. Returns { updatedPools, reevaluated }.
+     */
+    async applyPoolUpdates(updates) {
+        const affected = new Set();
+        let updatedPools = 0;
+        for (const update of updates || []) {
+            const pool = this.pools.get(update?.poolAddress);
+            if (!pool) continue;
+            Object.assign(pool, update);
+            updatedPools++;
+            for (const id of this.byPool.get(pool.poolAddress) || []) affected.add(id);
+        }
+        const reevaluated = await this.evaluate(affected);
+        return { updatedPools, reevaluated };
+    }
+
+    ranked({ passingOnly = false } = {}) {
+        const list = Array.from(this.results.values()).filter(r => !passingOnly || r.passes);
+        return list.sort((a, b) => D(b.netAfterCostsPct).cmp(D(a.netAfterCostsPct)));
+    }
+}
+
+// Compile every findTriangularArbitrage candidate into a RouteIndex and evaluate it once.
+async function buildTriangularRouteIndex({
+    pools,
+    connection,
+    amountInAtomic,
+    tokenA = MINT_SOL,
+    tokenC = MINT_USDC,
+    maxPoolsPerPair = 30,
+    thresholdPct = 0.1,
+    startTokenUsdPrice = null,
+    sdkFallback = true,
+    exact = false
+} = {}) {
+    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
+    const { pools: usable } = dropDecimalConflicts(filterUsablePools(pools, sdkAdapter));
+    const index = new RouteIndex({ amountInAtomic, thresholdPct, startTokenUsdPrice, opts: { sdkAdapter, exact } });
+
+    for (const candidate of enumerateTriangularRoutes({ byPair: indexPools(usable), usable, tokenA, tokenC, maxPoolsPerPair })) {
+        index.addRoute(candidate);
+    }
+    await index.evaluate();
+    return index;
+}
+
+// -------------------------
+// N-hop cycle search (2..5 legs from any start token)
+// -------------------------
+
+// mint -> [{ pool, to }], at most maxPoolsPerPair pools per token pair
+function buildAdjacency(byPair, maxPoolsPerPair) {
+    const adjacency = new Map();
+    for (const [key, arr] of byPair) {
+        const [from, to] = key.split('-');
+        if (from === to) continue;
+        if (!adjacency.has(from)) adjacency.set(from, []);
+        for (const pool of arr.slice(0, maxPoolsPerPair)) adjacency.get(from).push({ pool, to });
+    }
+    return adjacency;
+}
+
+// hop distance from every reachable mint back to start (the pool graph is undirected)
+function hopsToStart(adjacency, start) {
+    const dist = new Map([[start, 0]]);
+    const queue = [start];
+    while (queue.length) {
+        const m = queue.shift();
+        for (const { to } of adjacency.get(m) || []) {
+            if (!dist.has(to)) {
+                dist.set(to, dist.get(m) + 1);
+                queue.push(to);
+            }
+        }
+    }
+    return dist;
+}
+
+/**
+ * Yield simple cycles start -> ... -> start with minHops..maxHops legs.
+ * No pool is used twice and no intermediate mint is revisited.
+ */
+function* enumerateCycles({ adjacency, start, minHops, maxHops }) {
+    const dist = hopsToStart(adjacency, start);
+    const pathPools = [];
+    const pathMints = [start];
+    const usedPools = new Set();
+    const usedMints = new Set([start]);
+
+    function* dfs(mint) {
+        for (const { pool, to } of adjacency.get(mint) || []) {
+            if (usedPools.has(pool)) continue;
+            const hops = pathPools.length + 1;
+            if (to === start) {
+                if (hops >= minHops) yield { pools: [...pathPools, pool], mints: [...pathMints, to] };
+                continue;
+            }
+            if (usedMints.has(to) || !dist.has(to) || hops + dist.get(to) > maxHops) continue;
+
+            pathPools.push(pool); pathMints.push(to); usedPools.add(pool); usedMints.add(to);
+            yield* dfs(to);
+            pathPools.pop(); pathMints.pop(); usedPools.delete(pool); usedMints.delete(to);
+        }
+    }
+    yield* dfs(start);
+}
+
+/**
+ * Cycle search of any length in [minHops, maxHops] (2..5) from startToken, over the
+ * pool graph built by indexPools. Routes use the same shape as findTriangularArbitrage
+ * (plus path/hops). maxCycles bounds how many candidate cycles are simulated; the best
+ * maxRoutes of them are kept.
+ */
+async function findCycleArbitrage({
+    pools,
+    connection,
+    amountInAtomic,
+    startToken = MINT_SOL,
+    minHops = 2,
+    maxHops = 3,
+    maxPoolsPerPair = 30,
+    maxCycles = 5000,
+    thresholdPct = 0.1,
+    maxRoutes = 200,
+    startTokenUsdPrice = null,
+    sdkFallback = true,
+    exact = false,
+    optimizeSize = false,
+    maxInputAtomic = null,
+    optimizeIterations = 40,
+    curveSizesAtomic = null, // start-token sizes for the per-route profit curve
+    logRoutes = false,
+    logLegs = false
+} = {}) {
+    if (!Number.isInteger(minHops) || !Number.isInteger(maxHops) || minHops < 2 || maxHops > 5 || minHops > maxHops) {
+        throw new Error('findCycleArbitrage: hops must satisfy 2 <= minHops <= maxHops <= 5');
+    }
+    const dxA = D(amountInAtomic || 0).floor();
+    if (dxA.lte(0)) throw new Error('amountInAtomic must be > 0');
+
+    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
+    const { pools: usable, conflicts: decimalConflicts } = dropDecimalConflicts(filterUsablePools(pools, sdkAdapter));
+    const adjacency = buildAdjacency(indexPools(usable), maxPoolsPerPair);
+
+    const startDecimals = resolveMintDecimals(usable, startToken);
+    if (startDecimals === null) return [];
+
+    const top = new TopRoutes(maxRoutes);
+    let cycles = 0;
+    for (const cycle of enumerateCycles({ adjacency, start: startToken, minHops, maxHops })) {
+        if (cycles >= maxCycles) break;
+        cycles++;
+
+        const route = await evaluateRoute({
+            ...cycle,
+            dxA,
+            startDecimals,
+            startUsdPrice: startTokenUsdPrice,
+            thresholdPct,
+            opts: { sdkAdapter, exact },
+            log: { routes: logRoutes, legs: logLegs }
+        });
+        if (route) top.offer(route);
+    }
+
+    const routes = top.sorted();
+    await decorateRoutes(routes, {
+        optimizeSize, maxInputAtomic, optimizeIterations, curveSizesAtomic, thresholdPct, opts: { sdkAdapter, exact }
+    });
+    routes.stats = { ...top.counters(), candidates: cycles, decimalConflicts };
+    return routes;
+}
+
+// -------------------------
+// Two-pool same-pair arbitrage (buy on one pool, sell on another)
+// -------------------------
+
+/**
+ * For every pair of distinct pools trading the same two mints, simulate start -> other on
+ * the first pool and other -> start on the second, from both mints of the pair (or only
+ * from startTokens). Sizes per start mint come from amountsAtomic[mint] (one atomic amount
+ * or an array of them), otherwise defaultAmountsHuman of that mint.
+ * Returns the best maxRoutes in the evaluateRoute shape (2 hops), sorted by netAfterCostsPct desc.
+ */
+async function findPairArbitrage({
+    pools,
+    connection,
+    startTokens = null,
+    amountsAtomic = {},
+    defaultAmountsHuman = [1],
+    maxPoolsPerPair = 30,
+    thresholdPct = 0.1,
+    maxRoutes = 200,
+    usdPrices = {},
+    sdkFallback = true,
+    exact = false,
+    optimizeSize = false,
+    maxInputAtomic = null,
+    optimizeIterations = 40,
+    curveSizesAtomic = null, // start-token sizes for the per-route profit curve
+    logRoutes = false,
+    logLegs = false
+} = {}) {
+    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
+    const { pools: usable, conflicts: decimalConflicts } = dropDecimalConflicts(filterUsablePools(pools, sdkAdapter));
+    const startSet = startTokens ? new Set(startTokens) : null;
+
+    const sizesFor = (mint, decimals) => {
+        const explicit = amountsAtomic[mint];
+        const sizes = explicit !== undefined
+            ? [].concat(explicit).map(a => D(a).floor())
+            : defaultAmountsHuman.map(h => humanToAtomic(D(h), decimals));
+        return sizes.filter(a => a.gt(0));
+    };
+
+    const top = new TopRoutes(maxRoutes);
+    for (const [key, arr] of indexPools(usable)) {
+        const [start, other] = key.split('-');
+        if (start === other || arr.length < 2) continue;
+        if (startSet && !startSet.has(start)) continue;
+
+        const startDecimals = resolveMintDecimals(arr, start);
+        const sizes = sizesFor(start, startDecimals);
+        const capped = arr.slice(0, maxPoolsPerPair);
+
+        for (const buy of capped) {
+            for (const sell of capped) {
+                if (buy === sell) continue;
+                for (const dxA of sizes) {
+                    const route = await evaluateRoute({
+                        pools: [buy, sell],
+                        mints: [start, other, start],
+                        dxA,
+                        startDecimals,
+                        startUsdPrice: usdPrices[start] ?? null,
+                        thresholdPct,
+                        opts: { sdkAdapter, exact },
+                        log: { routes: logRoutes, legs: logLegs }
                     });
+                    if (route) top.offer(route);
                 }
-                if (routes.length >= maxRoutes) break;
             }
-            if (routes.length >= maxRoutes) break;
         }
-        if (routes.length >= maxRoutes) break;
     }
 
-    // sort by netAfterCostsPct desc
-    routes.sort((a, b) => D(b.netAfterCostsPct).cmp(D(a.netAfterCostsPct)));
+    const routes = top.sorted();
+    await decorateRoutes(routes, {
+        optimizeSize, maxInputAtomic, optimizeIterations, curveSizesAtomic, thresholdPct, opts: { sdkAdapter, exact }
+    });
+    routes.stats = { ...top.counters(), decimalConflicts };
     return routes;
 }
 
+// -------------------------
+// Negative-cycle discovery across all mints
+// Edge weight per pool direction: -ln(marginalRate) (see the route prefilter helpers).
+// A cycle with negative total weight has a product of marginal rates > 1. Bellman-Ford
+// finds such cycles; each is then re-simulated at real size.
+// -------------------------
+const CYCLE_EPS = 1e-12;
+
+async function buildLogRateEdges(pools) {
+    const edges = [];
+    for (const pool of pools) {
+        for (const isReverse of [false, true]) {
+            let rate;
+            try {
+                rate = await marginalRate(pool, isReverse);
+            } catch {
+                rate = null;
+            }
+            if (!rate) continue;
+            edges.push({
+                from: isReverse ? pool.quoteMint : pool.baseMint,
+                to: isReverse ? pool.baseMint : pool.quoteMint,
+                pool,
+                w: -rate.ln().toNumber()
+            });
+        }
+    }
+    return edges;
+}
+
+// Bellman-Ford from a virtual source (dist 0 everywhere); returns the negative cycles
+// left in the predecessor graph after |V| passes, as edge lists in travel order.
+function bellmanFordNegativeCycles(nodes, edges) {
+    const dist = new Map(nodes.map(n => [n, 0]));
+    const pred = new Map();
+    let relaxed = false;
+    for (let i = 0; i < nodes.length; i++) {
+        relaxed = false;
+        for (const e of edges) {
+            const nd = dist.get(e.from) + e.w;
+            if (nd < dist.get(e.to) - CYCLE_EPS) {
+                dist.set(e.to, nd);
+                pred.set(e.to, e);
+                relaxed = true;
+            }
+        }
+        if (!relaxed) return [];
+    }
+
+    const cycles = [];
+    const state = new Map(); // mint -> walk id that visited it
+    let walkId = 0;
+    for (const start of nodes) {
+        walkId++;
+        let v = start;
+        while (v !== undefined && !state.has(v)) {
+            state.set(v, walkId);
+            v = pred.get(v)?.from;
+        }
+        if (v === undefined || state.get(v) !== walkId) continue;
+
+        const cycle = [];
+        let u = v;
+        do {
+            const e = pred.get(u);
+            cycle.unshift(e);
+            u = e.from;
+        } while (u !== v && cycle.length <= nodes.length);
+        if (cycle.reduce((sum, e) => sum + e.w, 0) < -CYCLE_EPS) cycles.push(cycle);
+    }
+    return cycles;
+}
+
+/**
+ * Discovery mode: find negative cycles anywhere in the pool graph, then re-simulate each one
+ * through simulateLeg at a real size (amountsAtomic[startMint], else defaultAmountHuman of it).
+ * A cycle is anchored at the first of its mints present in amountsAtomic, otherwise as found.
+ * Returns { routes, anchors: [{ mint, cycles }], stats }.
+ */
+async function discoverArbitrageCycles({
+    pools,
+    connection,
+    amountsAtomic = {},
+    defaultAmountHuman = 1,
+    usdPrices = {}, // mint -> USD per human token; adds profitUsd to routes anchored there
+    maxCycleHops = 6,
+    maxRounds = 5,
+    maxCycles = 100,
+    thresholdPct = 0.1,
+    sdkFallback = false,
+    exact = false,
+    logRoutes = false,
+    logLegs = false
+} = {}) {
+    const sdkAdapter = sdkFallback ? tryLoadSdkAdapter(connection) : null;
+    const { pools: usable, conflicts: decimalConflicts } = dropDecimalConflicts(filterUsablePools(pools, sdkAdapter));
+
+    let edges = await buildLogRateEdges(usable);
+    const nodes = Array.from(new Set(edges.flatMap(e => [e.from, e.to])));
+    const stats = { nodes: nodes.length, edges: edges.length, rounds: 0, negativeCycles: 0, simulated: 0, decimalConflicts };
+
+    // Each round removes the edges of the cycles it found so other cycles can surface.
+    const found = [];
+    const seen = new Set();
+    for (let round = 0; round < maxRounds && found.length < maxCycles; round++) {
+        stats.rounds++;
+        const cycles = bellmanFordNegativeCycles(nodes, edges);
+        if (cycles.length === 0) break;
+        const used = new Set();
+        for (const cycle of cycles) {
+            cycle.forEach(e => used.add(e));
+            const key = cycle.map(e => `${e.pool.poolAddress}:${e.from}`).sort().join('|');
+            if (seen.has(key) || cycle.length > maxCycleHops) continue;
+            seen.add(key);
+            found.push(cycle);
+            if (found.length >= maxCycles) break;
+        }
+        edges = edges.filter(e => !used.has(e));
+    }
+    stats.negativeCycles = found.length;
+
+    const anchorCounts = new Map();
+    const routes = [];
+    for (const cycle of found) {
+        const logWeight = cycle.reduce((sum, e) => sum + e.w, 0);
+        cycle.forEach(e => anchorCounts.set(e.from, (anchorCounts.get(e.from) || 0) + 1));
+
+        const rot = Math.max(0, cycle.findIndex(e => amountsAtomic[e.from] !== undefined));
+        const ordered = [...cycle.slice(rot), ...cycle.slice(0, rot)];
+        const start = ordered[0].from;
+        const startDecimals = resolveMintDecimals(usable, start);
+        const dxA = amountsAtomic[start] !== undefined
+            ? D(amountsAtomic[start]).floor()
+            : humanToAtomic(D(defaultAmountHuman), startDecimals);
+        if (dxA.lte(0)) continue;
+
+        stats.simulated++;
+        const route = await evaluateRoute({
+            pools: ordered.map(e => e.pool),
+            mints: [start, ...ordered.map(e => e.to)],
+            dxA,
+            startDecimals,
+            startUsdPrice: usdPrices[start] ?? null,
+            thresholdPct,
+            opts: { sdkAdapter, exact },
+            log: { routes: logRoutes, legs: logLegs }
+        });
+        if (!route) continue;
+        route.discovery = { logWeight, marginalEdgePct: (Math.exp(-logWeight) - 1) * 100 };
+        routes.push(route);
+    }
+
+    routes.sort((a, b) => D(b.netAfterCostsPct).cmp(D(a.netAfterCostsPct)));
+    const anchors = Array.from(anchorCounts, ([mint, cycles]) => ({ mint, cycles })).sort((a, b) => b.cycles - a.cycles);
+    return { routes, anchors, stats };
+}
+
 // -------------------------
 // Pipeline: load + enrich + run
 // -------------------------
+
+// Pool counts by reserve age (_reserveAgeMs set by the fetcher; null = unknown age)
+function freshnessBuckets(pools) {
+    const buckets = { under1m: 0, under1h: 0, under1d: 0, over1d: 0, unknown: 0 };
+    for (const p of pools) {
+        const age = p._reserveAgeMs;
+        if (age === null || age === undefined) buckets.unknown++;
+        else if (age < 60e3) buckets.under1m++;
+        else if (age < 3600e3) buckets.under1h++;
+        else if (age < 86400e3) buckets.under1d++;
+        else buckets.over1d++;
+    }
+    return buckets;
+}
+
 async function loadAndEnrichPools({
     poolFile,
     rpcEndpoints,
     sdkFallback = false,
+    transferFees = false,
+    requireSameSlot = false, // re-read vault pairs whose x/y reads landed on different slots
+    maxReserveAgeMs = null, // reserves older than this (or of unknown age) are stale
+    excludeStale = false, // drop stale pools instead of only flagging them (_reserveStale)
     log = false
 } = {}) {
     if (!poolFile) throw new Error('poolFile required');
@@ -418,6 +1545,8 @@ async function loadAndEnrichPools({
 
     const fetcher = new UnifiedReservesFetcher({
         rpcEndpoints,
+        requireSameSlot,
+        maxReserveAgeMs,
         log
     });
 
@@ -431,22 +1560,27 @@ async function loadAndEnrichPools({
         }
         : null;
 
-    const enriched = await fetcher.enrichPools(pools, { sdkFallback: sdkFallbackFn });
+    // transferFees: decode Token-2022 TransferFeeConfig for every mint (one extra batched RPC pass)
+    const enriched = await fetcher.enrichPools(pools, { sdkFallback: sdkFallbackFn, transferFees });
 
     // Filter "math-ready" pools
-    const ready = enriched.filter(p => {
+    const mathReady = enriched.filter(p => {
         if (!p.poolAddress) return false;
-        if (p.type === 'cpmm' || p.type === 'dlmm') return p.xReserve && p.yReserve && D(p.xReserve).gt(0) && D(p.yReserve).gt(0);
-        if (p.type === 'clmm' || p.type === 'whirlpool') return true; // SDK path later
+        if (p.type === 'cpmm' || p.type === 'stable' || p.type === 'dlmm') return p.xReserve && p.yReserve && D(p.xReserve).gt(0) && D(p.yReserve).gt(0);
+        if (p.type === 'clmm' || p.type === 'whirlpool') return true; // tick math or SDK path later
         return false;
     });
+    const ready = excludeStale ? mathReady.filter(p => !p._reserveStale) : mathReady;
 
     return {
         file: abs, pools: ready, stats: {
             total: pools.length,
             ready: ready.length,
             vault: ready.filter(p => p._reserveSource === 'vault').length,
-            cache: ready.filter(p => p._reserveSource === 'cache_amount').length
+            cache: ready.filter(p => p._reserveSource === 'cache_amount').length,
+            stale: mathReady.filter(p => p._reserveStale).length,
+            staleExcluded: mathReady.length - ready.length,
+            freshness: freshnessBuckets(mathReady)
         }
     };
 }
@@ -456,5 +1590,12 @@ module.exports = {
     MINT_USDC,
     loadPoolsFromFile,
     loadAndEnrichPools,
-    findTriangularArbitrage
+    simulateRoute,
+    optimizeRouteInput,
+    findTriangularArbitrage,
+    RouteIndex,
+    buildTriangularRouteIndex,
+    findCycleArbitrage,
+    findPairArbitrage,
+    discoverArbitrageCycles
 };
@@ -6,18 +6,26 @@
  * Goal: produce pools that are "math-ready" for processorNewEngine:
  *   - pool.xReserve / pool.yReserve must be ATOMIC integer amounts (string or number)
  *   - pool.baseMint / pool.quoteMint and baseDecimals/quoteDecimals must match x/y order
- *   - pool.type must be one of: 'cpmm' | 'dlmm' | 'clmm' | 'whirlpool'
+ *   - pool.type must be one of: 'cpmm' | 'stable' | 'dlmm' | 'clmm' | 'whirlpool'
  *
  * Primary live source:
  *   - SPL Token vault balances (token account amount at offset 64)
  *     Works when the pool metadata contains vault addresses.
  *
  * Fallbacks:
- *   - Use cached raw.reserve_x_amount / raw.reserve_y_amount if present
+ *   - Use cached raw.reserve_x_amount / raw.reserve_y_amount if present, stamped with the
+ *     snapshot time and flagged _reserveStale past maxReserveAgeMs
  *   - Optional SDK fallback hook (user-provided) if vaults are missing
+ *
+ * Streaming:
+ *   - ReservesStream keeps xReserve/yReserve current from accountSubscribe notifications
+ *     on the vault (and optionally pool state) accounts; see fetcher.streamReserves().
  */
 
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
 const { Connection, PublicKey } = require('@solana/web3.js');
+const { RAYDIUM_STABLE_PROGRAM } = require('./processorNewEngine.js');
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -26,10 +34,14 @@ function isBase58ish(s) {
 }
 
 function detectType(pool) {
+  // the program id wins over a type string (stable pools are often labelled 'cpmm')
+  const programId = (pool.programId || pool.raw?.programId || '').toString();
+  if (programId === RAYDIUM_STABLE_PROGRAM) return 'stable';
   const t = (pool.type || pool.poolType || '').toString().toLowerCase();
   if (t.includes('whirlpool')) return 'whirlpool';
   if (t.includes('clmm')) return 'clmm';
   if (t.includes('dlmm')) return 'dlmm';
+  if (t.includes('stable')) return 'stable';
   if (t.includes('cpmm')) return 'cpmm';
   // heuristics by dex
   const dex = (pool.dex || '').toString().toLowerCase();
@@ -60,6 +72,61 @@ function decodeSplTokenAccountAmount(data) {
   }
 }
 
+/**
+ * Token-2022 mint with the TransferFeeConfig extension.
+ * Layout: base mint padded to 165 bytes, AccountType byte (1 = Mint), then TLV entries
+ * { type: u16, length: u16, value }. TransferFeeConfig (type 1, 108 bytes):
+ *   authorities (2 x 32) | withheld u64 | older { epoch u64, maxFee u64, bps u16 } | newer { ... }
+ * The newer fee applies from its epoch on; pass the current epoch to choose (null => newer).
+ */
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const MINT_ACCOUNT_TYPE_OFFSET = 165;
+const EXT_TRANSFER_FEE_CONFIG = 1;
+
+function decodeTransferFeeConfig(data, epoch = null) {
+  if (!data || !Buffer.isBuffer(data) || data.length <= MINT_ACCOUNT_TYPE_OFFSET + 1) return null;
+  if (data[MINT_ACCOUNT_TYPE_OFFSET] !== 1) return null;
+  try {
+    let off = MINT_ACCOUNT_TYPE_OFFSET + 1;
+    while (off + 4 <= data.length) {
+      const type = data.readUInt16LE(off);
+      const len = data.readUInt16LE(off + 2);
+      const v = off + 4;
+      if (type === 0) break;
+      if (type === EXT_TRANSFER_FEE_CONFIG && len >= 108 && v + 108 <= data.length) {
+        const readFee = (at) => ({
+          epoch: data.readBigUInt64LE(at),
+          maximumFee: data.readBigUInt64LE(at + 8),
+          transferFeeBasisPoints: data.readUInt16LE(at + 16)
+        });
+        const older = readFee(v + 72);
+        const newer = readFee(v + 90);
+        const useNewer = epoch === null || epoch === undefined || BigInt(epoch) >= newer.epoch;
+        const fee = useNewer ? newer : older;
+        return {
+          transferFeeBasisPoints: fee.transferFeeBasisPoints,
+          maximumFee: fee.maximumFee.toString(),
+          epoch: fee.epoch.toString()
+        };
+      }
+      off = v + len;
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+// ISO string, Date, epoch ms or epoch seconds -> epoch ms (null when unparsable)
+function toTimestampMs(v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (v instanceof Date) return Number.isFinite(v.getTime()) ? v.getTime() : null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
 function toStrBigInt(bi) {
   if (bi === null || bi === undefined) return null;
   try { return bi.toString(); } catch { return null; }
@@ -153,6 +220,12 @@ class UnifiedReservesFetcher {
 
     this.commitment = opts.commitment || 'confirmed';
     this.maxBatch = Number(opts.maxBatch || 75);
+    // batched getMultipleAccountsInfo calls in flight at once (default: one per endpoint)
+    this.maxParallel = Number(opts.maxParallel || this.rpcEndpoints.length);
+    // refuse vault pairs read at different slots (the pair is re-read in one call instead)
+    this.requireSameSlot = !!opts.requireSameSlot;
+    // reserves older than this (or of unknown age) are flagged _reserveStale
+    this.maxReserveAgeMs = opts.maxReserveAgeMs != null ? Number(opts.maxReserveAgeMs) : null;
     this.maxRetries = Number(opts.maxRetries || 2);
     this.retryDelayMs = Number(opts.retryDelayMs || 500);
     this.log = !!opts.log;
@@ -168,12 +241,17 @@ class UnifiedReservesFetcher {
   }
 
   async _getMultipleAccountsInfo(pubkeys) {
+    return (await this._getMultipleAccountsInfoAndContext(pubkeys)).value;
+  }
+
+  // -> { context: { slot }, value: AccountInfo[] }
+  async _getMultipleAccountsInfoAndContext(pubkeys) {
     // Round-robin across endpoints with retry
     let lastErr = null;
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       const conn = this._nextConnection();
       try {
-        return await conn.getMultipleAccountsInfo(pubkeys, this.commitment);
+        return await conn.getMultipleAccountsInfoAndContext(pubkeys, this.commitment);
       } catch (e) {
         lastErr = e;
         if (attempt < this.maxRetries) await sleep(this.retryDelayMs * (attempt + 1));
@@ -183,29 +261,51 @@ class UnifiedReservesFetcher {
   }
 
   async fetchVaultBalances(vaultAddresses) {
-    const addrs = vaultAddresses.filter(Boolean).filter(isBase58ish);
-    const out = new Map();
-    if (addrs.length === 0) return out;
+    return (await this.fetchVaultBalancesAndContext(vaultAddresses)).balances;
+  }
 
-    // batch
-    for (let i = 0; i < addrs.length; i += this.maxBatch) {
-      const batch = addrs.slice(i, i + this.maxBatch);
-      const keys = batch.map(a => new PublicKey(a));
-      const infos = await this._getMultipleAccountsInfo(keys);
+  // -> { balances: Map addr => BigInt|null, slots: Map addr => slot the account was read at }
+  async fetchVaultBalancesAndContext(vaultAddresses) {
+    const { balances, slots, failed } = await this._fetchVaultBatches(vaultAddresses);
+    if (failed.length > 0) throw failed[0].error;
+    return { balances, slots };
+  }
 
-      for (let j = 0; j < batch.length; j++) {
-        const addr = batch[j];
-        const info = infos[j];
-        if (!info || !info.data) {
-          out.set(addr, null);
-          continue;
+  /**
+   * Fetch token account amounts in maxBatch-sized calls, up to maxParallel at a time
+   * (round-robin spreads them over the endpoints). A failed batch does not abort the rest.
+   * Returns { balances: Map addr => BigInt|null, slots: Map addr => slot, failed: [{ addrs, error }] }.
+   */
+  async _fetchVaultBatches(vaultAddresses) {
+    const addrs = Array.from(new Set((vaultAddresses || []).filter(Boolean).filter(isBase58ish)));
+    const balances = new Map();
+    const slots = new Map();
+    const failed = [];
+
+    const batches = [];
+    for (let i = 0; i < addrs.length; i += this.maxBatch) batches.push(addrs.slice(i, i + this.maxBatch));
+
+    let next = 0;
+    const worker = async () => {
+      while (next < batches.length) {
+        const batch = batches[next++];
+        try {
+          const { context, value: infos } = await this._getMultipleAccountsInfoAndContext(batch.map(a => new PublicKey(a)));
+          for (let j = 0; j < batch.length; j++) {
+            const info = infos[j];
+            balances.set(batch[j], info && info.data ? decodeSplTokenAccountAmount(info.data) : null);
+            slots.set(batch[j], context?.slot ?? null);
+          }
+        } catch (e) {
+          failed.push({ addrs: batch, error: e });
+          if (this.log) console.warn(`vault batch failed (${batch.length} accounts): ${e.message || e}`);
         }
-        const amt = decodeSplTokenAccountAmount(info.data);
-        out.set(addr, amt);
       }
-    }
+    };
+    const lanes = Math.max(1, Math.min(this.maxParallel || 1, batches.length));
+    await Promise.all(Array.from({ length: lanes }, worker));
 
-    return out;
+    return { balances, slots, failed };
   }
 
   /**
@@ -213,8 +313,27 @@ class UnifiedReservesFetcher {
    *
    * opts.sdkFallback (optional):
    *   async function sdkFallback(pool) -> { xReserve, yReserve, source?:string }
+   * opts.vaultBalances / opts.vaultSlots (optional): Maps prefetched by enrichPools;
+   *   when given, vaults are read from them instead of fetched (missing = fetch failed).
+   *
+   * Every pool gets _reserveSlot: the slot its vaults were read at (null for cache/SDK
+   * reserves without a slot). With requireSameSlot, x/y vaults read at different slots are
+   * re-read together in one call; if that fails the vault reading is refused.
+   *
+   * Cached amounts carry the snapshot time (pool._snapshotTimestamp, else opts.snapshotTimestamp;
+   * null = unknown) as _reserveTimestamp, not the enrichment time. Every pool gets _reserveAgeMs
+   * and, when maxReserveAgeMs is set, _reserveStale for older or unknown-age reserves.
    */
   async enrichPool(pool, opts = {}) {
+    const p = await this._enrichPool(pool, opts);
+    const now = Date.now();
+    p._reserveAgeMs = p._reserveTimestamp != null ? Math.max(0, now - p._reserveTimestamp) : null;
+    p._reserveStale = this.maxReserveAgeMs !== null && p._reserveSource !== 'none' &&
+      (p._reserveAgeMs === null || p._reserveAgeMs > this.maxReserveAgeMs);
+    return p;
+  }
+
+  async _enrichPool(pool, opts = {}) {
     const p = { ...pool };
     p.type = detectType(p);
 
@@ -227,9 +346,17 @@ class UnifiedReservesFetcher {
     // 1) Live vault balances (best)
     if (vaultX && vaultY) {
       try {
-        const m = await this.fetchVaultBalances([vaultX, vaultY]);
+        let m = opts.vaultBalances;
+        let slots = opts.vaultSlots || new Map();
+        if (!m) ({ balances: m, slots } = await this.fetchVaultBalancesAndContext([vaultX, vaultY]));
+        if (this.requireSameSlot && slots.get(vaultX) !== slots.get(vaultY)) {
+          if (this.log) console.warn(`vault slots differ for ${p.poolAddress} (${slots.get(vaultX)} vs ${slots.get(vaultY)}), re-reading pair`);
+          ({ balances: m, slots } = await this.fetchVaultBalancesAndContext([vaultX, vaultY]));
+        }
         const xBI = m.get(vaultX);
         const yBI = m.get(vaultY);
+        const xSlot = slots.get(vaultX) ?? null;
+        const ySlot = slots.get(vaultY) ?? null;
 
         const xStr = toStrBigInt(xBI);
         const yStr = toStrBigInt(yBI);
@@ -241,6 +368,9 @@ class UnifiedReservesFetcher {
           p.liquidityY = yStr;
           p._reserveSource = 'vault';
           p._reserveTimestamp = now;
+          p._reserveSlot = xSlot !== null && ySlot !== null ? Math.min(xSlot, ySlot) : null;
+          if (xSlot !== ySlot) p._reserveSlots = { x: xSlot, y: ySlot };
+          else delete p._reserveSlots;
           return p;
         }
       } catch (e) {
@@ -256,7 +386,8 @@ class UnifiedReservesFetcher {
       p.liquidityX = String(xAmt);
       p.liquidityY = String(yAmt);
       p._reserveSource = 'cache_amount';
-      p._reserveTimestamp = now;
+      p._reserveTimestamp = toTimestampMs(p._snapshotTimestamp ?? opts.snapshotTimestamp);
+      p._reserveSlot = null;
       return p;
     }
 
@@ -271,6 +402,7 @@ class UnifiedReservesFetcher {
           p.liquidityY = String(r.yReserve);
           p._reserveSource = r.source || 'sdk';
           p._reserveTimestamp = now;
+          p._reserveSlot = r.slot ?? null;
           return p;
         }
       } catch (e) {
@@ -280,17 +412,328 @@ class UnifiedReservesFetcher {
 
     // No reserves
     p._reserveSource = 'none';
-    p._reserveTimestamp = now;
+    p._reserveTimestamp = null; // no data: unknown age, not fresh
+    p._reserveSlot = null;
     return p;
   }
 
+  /**
+   * Fetch Token-2022 TransferFeeConfig for mints. Returns Map mint => config|null.
+   * Legacy SPL mints (and Token-2022 mints without the extension) map to null.
+   */
+  async fetchMintTransferFees(mints, opts = {}) {
+    const addrs = Array.from(new Set((mints || []).filter(isBase58ish)));
+    const out = new Map();
+    if (addrs.length === 0) return out;
+
+    let epoch = opts.epoch ?? null;
+    if (epoch === null) {
+      try {
+        epoch = (await this._nextConnection().getEpochInfo(this.commitment)).epoch;
+      } catch (e) {
+        if (this.log) console.warn(`epoch lookup failed, using newer transfer fee: ${e.message || e}`);
+      }
+    }
+
+    for (let i = 0; i < addrs.length; i += this.maxBatch) {
+      const batch = addrs.slice(i, i + this.maxBatch);
+      const infos = await this._getMultipleAccountsInfo(batch.map(a => new PublicKey(a)));
+      for (let j = 0; j < batch.length; j++) {
+        const info = infos[j];
+        const isToken2022 = info && info.owner && info.owner.toBase58() === TOKEN_2022_PROGRAM;
+        out.set(batch[j], isToken2022 ? decodeTransferFeeConfig(info.data, epoch) : null);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Attach transfer-fee metadata to pool.baseToken/quoteToken.transferFee.
+   * Fees already supplied in pool JSON are kept as-is.
+   */
+  async attachTransferFees(pools, opts = {}) {
+    const missing = [];
+    for (const p of pools) {
+      if (!p.baseToken?.transferFee && p.baseMint) missing.push(p.baseMint);
+      if (!p.quoteToken?.transferFee && p.quoteMint) missing.push(p.quoteMint);
+    }
+
+    let fees = new Map();
+    try {
+      fees = await this.fetchMintTransferFees(missing, opts);
+    } catch (e) {
+      if (this.log) console.warn(`transfer fee fetch failed: ${e.message || e}`);
+    }
+
+    for (const p of pools) {
+      const baseFee = fees.get(p.baseMint);
+      const quoteFee = fees.get(p.quoteMint);
+      if (baseFee && !p.baseToken?.transferFee) p.baseToken = { ...(p.baseToken || {}), transferFee: baseFee };
+      if (quoteFee && !p.quoteToken?.transferFee) p.quoteToken = { ...(p.quoteToken || {}), transferFee: quoteFee };
+    }
+    return pools;
+  }
+
+  /**
+   * Vault balances for every pool are fetched up front in shared batches, then each
+   * pool is enriched from that map (cache / SDK fallbacks still apply per pool).
+   *
+   * opts.transferFees (optional): also attach Token-2022 transfer-fee metadata per mint.
+   * opts.excludeStale (optional): drop pools flagged _reserveStale (see maxReserveAgeMs).
+   */
   async enrichPools(pools, opts = {}) {
+    const vaults = [];
+    for (const pool of (pools || [])) {
+      const { vaultX, vaultY } = extractVaultAddresses(pool);
+      if (vaultX && vaultY) vaults.push(vaultX, vaultY);
+    }
+    const { balances, slots } = await this._fetchVaultBatches(vaults);
+
     const out = [];
     for (const pool of (pools || [])) {
-      out.push(await this.enrichPool(pool, opts));
+      const p = await this.enrichPool(pool, { ...opts, vaultBalances: balances, vaultSlots: slots });
+      if (opts.excludeStale && p._reserveStale) continue;
+      out.push(p);
     }
+    if (opts.transferFees) await this.attachTransferFees(out, opts);
     return out;
   }
+
+  /**
+   * Streaming mode: a started ReservesStream for these pools over the first endpoint's
+   * websocket (opts.wsUrl overrides the derived ws:// / wss:// URL).
+   */
+  streamReserves(pools, opts = {}) {
+    return new ReservesStream({
+      commitment: this.commitment,
+      log: this.log,
+      ...opts,
+      wsUrl: opts.wsUrl || toWsUrl(this.rpcEndpoints[0]),
+      pools
+    }).start();
+  }
+}
+
+// http(s) RPC endpoint -> pubsub endpoint on the same host
+function toWsUrl(url) {
+  return String(url).replace(/^http(s?):\/\//i, (m, secure) => (secure ? 'wss://' : 'ws://'));
+}
+
+/**
+ * Live reserves over the RPC websocket (accountSubscribe, base64).
+ *
+ * Every vault account (and, with opts.decodePoolState, every pool state account) gets one
+ * subscription. Notifications update an in-memory copy of the pool and emit
+ *   'poolUpdated' (update, { account, field: 'x' | 'y' | 'state', pool })
+ * where update holds only pool fields under their pool names: { poolAddress, xReserve, yReserve,
+ * liquidityX, liquidityY, _reserveSlot, _reserveTimestamp, _reserveAgeMs, _reserveStale,
+ * _reserveSource } plus the decoded fields of a state update. It can be passed straight to
+ * RouteIndex.applyPoolUpdates().
+ * Other events: 'connected', 'disconnected' { code }, 'subscribed' { count }, 'error' (Error).
+ *
+ * The socket reconnects with exponential backoff and resubscribes everything until stop().
+ *
+ * opts.decodePoolState (optional): (pool, dataBuffer) -> fields to merge into the pool.
+ */
+class ReservesStream extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    if (!opts.wsUrl) throw new Error('ReservesStream: wsUrl is required');
+    this.wsUrl = opts.wsUrl;
+    this.commitment = opts.commitment || 'confirmed';
+    this.reconnectDelayMs = Number(opts.reconnectDelayMs || 1000);
+    this.maxReconnectDelayMs = Number(opts.maxReconnectDelayMs || 30000);
+    this.decodePoolState = typeof opts.decodePoolState === 'function' ? opts.decodePoolState : null;
+    this.WebSocketImpl = opts.WebSocketImpl || WebSocket;
+    this.log = !!opts.log;
+
+    this.pools = new Map(); // poolAddress -> in-memory pool copy
+    this.watchers = new Map(); // account -> [{ poolAddress, field }]
+    for (const pool of (opts.pools || [])) this._watchPool(pool);
+
+    this._ws = null;
+    this._stopped = true;
+    this._attempt = 0;
+    this._reconnectTimer = null;
+    this._nextId = 1;
+    this._pending = new Map(); // request id -> account
+    this._subs = new Map(); // subscription id -> account
+  }
+
+  _watchPool(pool) {
+    const poolAddress = pool.poolAddress || pool.id || pool.address;
+    if (!poolAddress) return;
+    this.pools.set(poolAddress, { ...pool, poolAddress });
+
+    const watch = (account, field) => {
+      if (!isBase58ish(account)) return;
+      if (!this.watchers.has(account)) this.watchers.set(account, []);
+      this.watchers.get(account).push({ poolAddress, field });
+    };
+    const { vaultX, vaultY } = extractVaultAddresses(pool);
+    if (vaultX && vaultY) {
+      watch(vaultX, 'x');
+      watch(vaultY, 'y');
+    }
+    if (this.decodePoolState) watch(poolAddress, 'state');
+  }
+
+  get accountCount() { return this.watchers.size; }
+
+  getPool(poolAddress) { return this.pools.get(poolAddress) || null; }
+
+  start() {
+    if (!this._stopped) return this;
+    this._stopped = false;
+    this._connect();
+    return this;
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this._ws) {
+      const ws = this._ws;
+      this._ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
+    }
+    return this;
+  }
+
+  _connect() {
+    const ws = new this.WebSocketImpl(this.wsUrl);
+    this._ws = ws;
+    this._pending.clear();
+    this._subs.clear();
+
+    ws.on('open', () => {
+      this._attempt = 0;
+      this.emit('connected');
+      this._subscribeAll(ws);
+    });
+    ws.on('message', (data) => this._onMessage(data));
+    ws.on('error', (e) => {
+      if (this.log) console.warn(`reserves stream error: ${e.message || e}`);
+      if (this.listenerCount('error') > 0) this.emit('error', e);
+    });
+    ws.on('close', (code) => {
+      if (this._ws !== ws) return;
+      this._ws = null;
+      this.emit('disconnected', { code });
+      this._scheduleReconnect();
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this._stopped) return;
+    const delay = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** this._attempt);
+    this._attempt++;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (!this._stopped) this._connect();
+    }, delay);
+  }
+
+  _subscribeAll(ws) {
+    for (const account of this.watchers.keys()) {
+      const id = this._nextId++;
+      this._pending.set(id, account);
+      ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id,
+        method: 'accountSubscribe',
+        params: [account, { encoding: 'base64', commitment: this.commitment }]
+      }));
+    }
+  }
+
+  _onMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+
+    // subscription confirmation: { id, result: subscriptionId }
+    if (msg.id !== undefined && this._pending.has(msg.id)) {
+      const account = this._pending.get(msg.id);
+      this._pending.delete(msg.id);
+      if (msg.error) {
+        if (this.listenerCount('error') > 0) this.emit('error', new Error(`accountSubscribe ${account}: ${msg.error.message || 'failed'}`));
+        return;
+      }
+      this._subs.set(msg.result, account);
+      if (this._pending.size === 0) this.emit('subscribed', { count: this._subs.size });
+      return;
+    }
+
+    if (msg.method !== 'accountNotification' || !msg.params) return;
+    const account = this._subs.get(msg.params.subscription);
+    if (!account) return;
+    const result = msg.params.result || {};
+    const slot = result.context?.slot ?? null;
+    const encoded = result.value?.data;
+    const buf = Array.isArray(encoded) && encoded[0] ? Buffer.from(encoded[0], 'base64') : null;
+    this._applyAccount(account, buf, slot);
+  }
+
+  _applyAccount(account, buf, slot) {
+    for (const { poolAddress, field } of this.watchers.get(account) || []) {
+      const pool = this.pools.get(poolAddress);
+      if (!pool) continue;
+
+      let decoded = {};
+      if (field === 'state') {
+        try {
+          decoded = this.decodePoolState(pool, buf) || {};
+          Object.assign(pool, decoded);
+        } catch (e) {
+          if (this.log) console.warn(`pool state decode failed ${poolAddress}: ${e.message || e}`);
+          continue;
+        }
+      } else {
+        const amount = toStrBigInt(decodeSplTokenAccountAmount(buf));
+        if (amount === null) continue;
+        if (field === 'x') {
+          pool.xReserve = amount;
+          pool.liquidityX = amount;
+        } else {
+          pool.yReserve = amount;
+          pool.liquidityY = amount;
+        }
+        pool._reserveSource = 'stream';
+      }
+      pool._reserveTimestamp = Date.now();
+      pool._reserveAgeMs = 0;
+      pool._reserveStale = false;
+      pool._reserveSlot = slot;
+
+      this.emit('poolUpdated', {
+        ...decoded,
+        poolAddress,
+        xReserve: pool.xReserve,
+        yReserve: pool.yReserve,
+        liquidityX: pool.liquidityX,
+        liquidityY: pool.liquidityY,
+        _reserveSlot: pool._reserveSlot,
+        _reserveTimestamp: pool._reserveTimestamp,
+        _reserveAgeMs: pool._reserveAgeMs,
+        _reserveStale: pool._reserveStale,
+        _reserveSource: pool._reserveSource
+      }, { account, field, pool });
+    }
+  }
 }
 
-module.exports = { UnifiedReservesFetcher, detectType, extractVaultAddresses };
+module.exports = {
+  UnifiedReservesFetcher,
+  ReservesStream,
+  detectType,
+  extractVaultAddresses,
+  decodeTransferFeeConfig,
+  toTimestampMs
+};
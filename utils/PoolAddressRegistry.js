@@ -15,6 +15,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { RAYDIUM_STABLE_PROGRAM, getStableAmp } = require('../processorNewEngine.js');
 
 const BASE58_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
 
@@ -72,6 +73,8 @@ function normSymbol(sym) {
 function detectPoolType(raw) {
   const dex = (raw.dex || raw.program || raw.sourceDex || '').toString().toLowerCase();
   const t = (raw.poolType || raw.type || raw.raw?.poolType || '').toString().toLowerCase();
+  const programId = (raw.programId || raw.raw?.programId || '').toString();
+  if (t.includes('stable') || programId === RAYDIUM_STABLE_PROGRAM) return 'stable';
   if (t.includes('dlmm') || dex === 'meteora') return 'dlmm';
   if (t.includes('whirlpool') || dex === 'orca') return 'clmm';
   if (t.includes('clmm') || t.includes('concentrated')) return 'clmm';
@@ -138,6 +141,9 @@ function normalizePool(raw) {
   const reserveYAccount = asString(pick(raw, 'reserve_y', 'raw.reserve_y', '_original.raw.reserve_y')) || null;
 
   const fee = normalizeFee(raw);
+  const amp = poolType === 'stable'
+    ? getStableAmp(raw)
+    : null;
 
   const out = {
     poolAddress,
@@ -150,6 +156,7 @@ function normalizePool(raw) {
     baseDecimals,
     quoteDecimals,
     fee,
+    ...(amp !== null ? { amp } : {}),
     xReserve: xReserve || null,
     yReserve: yReserve || null,
     liquidityX: xReserve || null,
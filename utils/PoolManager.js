@@ -13,13 +13,14 @@
  *   poolAddress: string,
  *   id: string,
  *   dex: 'meteora'|'raydium'|'orca'|string,
- *   poolType: 'dlmm'|'clmm'|'cpmm'|string,
- *   type: 'dlmm'|'clmm'|'cpmm'|string,              // alias used by math engine
+ *   poolType: 'dlmm'|'clmm'|'cpmm'|'stable'|string,
+ *   type: 'dlmm'|'clmm'|'cpmm'|'stable'|string,     // alias used by math engine
  *   baseToken: { mint, symbol, decimals },
  *   quoteToken:{ mint, symbol, decimals },
  *   baseDecimals: number,
  *   quoteDecimals: number,
  *   fee: number,                                     // swap fee as fraction, e.g. 0.003
+ *   amp?: number,                                    // amplification coefficient (stable pools)
  *   xReserve: string|null,                            // atomic integer string
  *   yReserve: string|null,                            // atomic integer string
  *   reserveXAccount?: string|null,                    // vault address (if present)
@@ -33,6 +34,7 @@
  */
 
 const Decimal = require('decimal.js');
+const { RAYDIUM_STABLE_PROGRAM, getStableAmp } = require('../processorNewEngine.js');
 
 const BASE58_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
 
@@ -125,7 +127,9 @@ function normalizeSymbol(sym) {
 function detectPoolType(raw) {
   const dex = (raw.dex || raw.program || raw.sourceDex || '').toString().toLowerCase();
   const t = (raw.poolType || raw.type || raw.raw?.poolType || raw.raw?.type || '').toString().toLowerCase();
+  const programId = (raw.programId || raw.raw?.programId || '').toString();
 
+  if (t.includes('stable') || programId === RAYDIUM_STABLE_PROGRAM) return 'stable';
   if (t.includes('dlmm') || dex === 'meteora') return 'dlmm';
   if (t.includes('whirlpool') || dex === 'orca') return 'clmm';
   if (t.includes('clmm') || t.includes('concentrated')) return 'clmm';
@@ -198,7 +202,7 @@ class PoolManager {
       missingDecimals: 0,
       missingReserves: 0,
       normalizedReservesFromRaw: 0,
-      detectedTypes: { dlmm: 0, clmm: 0, cpmm: 0, other: 0 },
+      detectedTypes: { dlmm: 0, clmm: 0, cpmm: 0, stable: 0, other: 0 },
     };
   }
 
@@ -326,6 +330,9 @@ class PoolManager {
     }
 
     const fee = normalizeFee(rawPool);
+    const amp = poolType === 'stable'
+      ? getStableAmp(rawPool)
+      : null;
 
     const midPrice = computeMidPrice(xReserve, yReserve, baseDecimals, quoteDecimals);
 
@@ -340,6 +347,7 @@ class PoolManager {
       baseDecimals,
       quoteDecimals,
       fee,
+      ...(amp !== null ? { amp } : {}),
       xReserve: xReserve || null,
       yReserve: yReserve || null,
       reserveXAccount: reserveXAccount && isBase58(reserveXAccount) ? reserveXAccount : null,
@@ -380,7 +388,7 @@ class PoolManager {
     this.stats.missingDecimals = 0;
     this.stats.missingReserves = 0;
     this.stats.normalizedReservesFromRaw = 0;
-    this.stats.detectedTypes = { dlmm: 0, clmm: 0, cpmm: 0, other: 0 };
+    this.stats.detectedTypes = { dlmm: 0, clmm: 0, cpmm: 0, stable: 0, other: 0 };
   }
 }
 
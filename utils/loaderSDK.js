@@ -93,6 +93,8 @@ async function loadPool({ connection, poolAddress }) {
       type: 'cpmm',
       poolAddress,
       feePct: toDecimal(poolState.feePct),
+      // AmmInfo fees struct: swapFeeNumerator/Denominator + pnlNumerator/Denominator (protocol share)
+      fees: poolState.fees,
       xReserve: toDecimal(baseTotalReserve.toString()),
       yReserve: toDecimal(quoteTotalReserve.toString()),
       programId: owner
@@ -249,6 +251,10 @@ async function loadPool({ connection, poolAddress }) {
       poolAddress,
       feePct: toDecimal(poolState.feePct),
       activeBinId: poolState.activeBinId,
+      binStep: poolState.binStep,
+      // lb pair fee parameters, used for the dynamic (volatility) fee
+      parameters: poolState.parameters,
+      vParameters: poolState.vParameters,
       bins,
       programId: owner,
       _realData: !bins[0]?._fallback
@@ -303,6 +309,7 @@ async function attachSdkRawState(connection, pool) {
       pool.xReserve = sdkPool.xReserve;
       pool.yReserve = sdkPool.yReserve;
       pool.feePct = sdkPool.feePct;
+      if (sdkPool.fees) pool.fees = sdkPool.fees;
       pool._sdkAttached = true;
       pool._realData = true;
     } else if (sdkPool.type === 'clmm') {
@@ -319,7 +326,10 @@ async function attachSdkRawState(connection, pool) {
     } else if (sdkPool.type === 'dlmm') {
       pool.dlmm = {
         activeBinId: sdkPool.activeBinId,
+        binStep: sdkPool.binStep,
         feePct: sdkPool.feePct,
+        parameters: sdkPool.parameters,
+        vParameters: sdkPool.vParameters,
         bins: sdkPool.bins
       };
       pool._sdkAttached = true;